@@ -7,14 +7,27 @@ const https = require('https');
 const express = require('express');
 const expressSession = require('express-session');
 const MongoStore = require('connect-mongo')(expressSession);
+const AccessToken = require('./lib/access-token');
+const Audit = require('./lib/audit');
+const Collection = require('./lib/collection');
+const ApiKeyController = require('./controllers/api-key-controller');
+const AuditController = require('./controllers/audit-controller');
 const CollectionController = require('./controllers/collection-controller');
 const ComponentController = require('./controllers/component-controller');
+const EndpointController = require('./controllers/endpoint-controller');
+const EventController = require('./controllers/event-controller');
 const PageController = require('./controllers/page-controller');
+const TenantController = require('./controllers/tenant-controller');
 const UserController = require('./controllers/user-controller');
 const Setup = require('./lib/setup');
 const Email = require('./lib/email');
+const Job = require('./lib/job');
 const ErrorHandler = require('./lib/error-handler');
 const Property = require('./lib/property');
+const Schedule = require('./lib/schedule');
+const Secret = require('./lib/secret');
+const Tenant = require('./lib/tenant');
+const Webhook = require('./lib/webhook');
 const bodyParser = require('body-parser');
 const cookieParser = require('cookie-parser');
 const livereload = require('express-livereload');
@@ -27,36 +40,42 @@ class Backrest {
 		this.app = express();
 		process.env.NODE_ENV = this.app.get('env');
 
+		// sessions are signed with the BACKREST_SESSION_SECRET environment variable or else a secret generated for the install
+		var start = () => {
+			return Secret.get('session', 'BACKREST_SESSION_SECRET').then((secret) => {
+				this.httpStart(secret);
+			}, (error) => {
+				console.error('Sessions require a secret', error);
+				process.exit(1);
+			});
+		};
+
 		Property.getValue(BACKREST_INSTALLED, false).then((value) => {
 			if (value) {
 				if (JSON.parse(process.env.INSTALL_BOWER_COMPONENTS || 'false')) {
-					Setup.installBowerComponents().then(() => {
-						this.httpStart();
-					});
+					Setup.installBowerComponents().then(start);
 				} else {
-					this.httpStart();
+					start();
 				}
 			} else {
-				Setup.init().then(() => {
-					this.httpStart();
-				});
+				Setup.init().then(start);
 			}
 		});
 	}
 
-	sessionStart () {
+	sessionStart (secret) {
 		return {
 			'store': new MongoStore({
 				'url': process.env.MONGODB_URI || 'mongodb://localhost:27017/backrest',
 				'maxAge': 300000
 			}),
-			'secret': '$3cr3t',
+			'secret': secret,
 			'resave': false,
 			'saveUninitialized': true
 		};
 	}
 
-	httpStart () {
+	httpStart (secret) {
 		// Event listener for HTTP server "error" event.
 		function onError (error) {
 			if (error.syscall !== 'listen') {
@@ -92,12 +111,16 @@ class Backrest {
 		}
 
 		// start session
-		var session = this.sessionStart();
+		var session = this.sessionStart(secret);
 
 		// view engine setup
 		this.app.set('views', 'views');
 		this.app.set('view engine', 'ejs');
 
+		// documents set strong ETags from their _modified date, other responses use weak
+		// ETags so If-None-Match requests can be answered with 304 Not Modified
+		this.app.set('etag', 'weak');
+
 		// initialize the session state
 		this.app.use(logger('dev'));
 		this.app.use(bodyParser.json());
@@ -107,6 +130,11 @@ class Backrest {
 
 		// app controllers and endpoints
 		new UserController(this);
+		new EndpointController(this);
+		new EventController(this);
+		new AuditController(this);
+		new TenantController(this);
+		new ApiKeyController(this);
 		new CollectionController(this);
 		new ComponentController(this);
 		new PageController(this);
@@ -175,6 +203,53 @@ class Backrest {
 				watchDir: 'public'
 			});
 		}
+
+		this.purgeStart();
+		this.webhookStart();
+		this.workerStart();
+		this.scheduleStart();
+	}
+
+	purgeStart () {
+		// permanently delete soft deleted documents, audit entries, and refresh tokens past their retention period every hour
+		setInterval(() => {
+			AccessToken.purge().catch((error) => {
+				console.error(error);
+			});
+
+			Tenant.forEach((tenant) => {
+				return Promise.all([Collection.purgeTrash(tenant), Audit.purge(tenant)]);
+			}).catch((error) => {
+				console.error(error);
+			});
+		}, 60 * 60 * 1000);
+	}
+
+	workerStart () {
+		// run queued background jobs which are due, including retries of failed jobs, of every tenant
+		setInterval(() => {
+			Tenant.forEach((tenant) => Job.work(tenant)).catch((error) => {
+				console.error(error);
+			});
+		}, 5 * 1000);
+	}
+
+	scheduleStart () {
+		// run the schedules which are due, checked several times a minute so no minute is missed
+		setInterval(() => {
+			Tenant.forEach((tenant) => Schedule.tick(undefined, tenant)).catch((error) => {
+				console.error(error);
+			});
+		}, 15 * 1000);
+	}
+
+	webhookStart () {
+		// retry failed webhook deliveries which are due every minute
+		setInterval(() => {
+			Tenant.forEach((tenant) => Webhook.retry(tenant)).catch((error) => {
+				console.error(error);
+			});
+		}, 60 * 1000);
 	}
 
 	result (request, response, result, statusCode, headers) {
@@ -183,10 +258,20 @@ class Backrest {
 		}
 
 		response.status(statusCode || 200)
+			.set(this.debugHeaders(response))
 			.set(headers)
 			.json(result);
 	}
 
+	debugHeaders (response) {
+		// list the event handlers that ran in development
+		if (this.app.get('env') !== 'development' || !response.locals.events || response.locals.events.length === 0) {
+			return {};
+		}
+
+		return {'X-Backrest-Events': response.locals.events.join(', ')};
+	}
+
 	error (request, response, error, statusCode) {
 		if (!response) {
 			return error;
@@ -200,6 +285,7 @@ class Backrest {
 
 		// send response back to xhr request
 		response.status(statusCode)
+			.set(this.debugHeaders(response))
 			.json({
 				'error': error
 			});
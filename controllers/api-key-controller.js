@@ -0,0 +1,113 @@
+'use strict';
+
+const BaseController = require('./base-controller');
+const ApiKey = require('../lib/api-key');
+const Role = require('../lib/role');
+const Tenant = require('../lib/tenant');
+const constants = require('../lib/constants');
+const db = require('../lib/db');
+
+module.exports = class ApiKeyController extends BaseController {
+	constructor (server) {
+		super(server);
+		this.server.app.get('/api/keys', this.find.bind(this));
+		this.server.app.post('/api/keys', this.create.bind(this));
+		this.server.app.delete('/api/keys/:id', this.revoke.bind(this));
+	}
+
+	find (request, response) {
+		this.ownerQuery(request)
+			.then((query) => ApiKey.find(query, request.tenant))
+			.then(this.respondWithDataFn(request, response))
+			.catch(this.respondWithErrorFn(request, response));
+	}
+
+	create (request, response) {
+		var body = request.body || {};
+		this.validate(request, body)
+			.then(() => {
+				return ApiKey.create({
+					'name': body.name,
+					'user': body.role ? undefined : body.user || request.user._id,
+					'role': body.role
+				}, request.user, request.tenant);
+			})
+			.then((key) => {
+				this.server.result(request, response, key, 201);
+			})
+			.catch(this.respondWithErrorFn(request, response));
+	}
+
+	revoke (request, response) {
+		if (!/^[0-9a-fA-F]{24}$/.test(request.params.id)) {
+			return this.respondWithErrorFn(request, response)(constants.ERROR.NOT_FOUND);
+		}
+
+		this.ownerQuery(request)
+			.then((query) => ApiKey.revoke(Object.assign(query, {'_id': db.ObjectId(request.params.id)}), request.tenant))
+			.then(this.respondWithDataFn(request, response))
+			.catch(this.respondWithErrorFn(request, response));
+	}
+
+	ownerQuery (request) {
+		// admins manage every key of the tenant, other users the keys bound to them
+		if (!request.user) {
+			return Promise.reject(constants.ERROR.FORBIDDEN);
+		}
+
+		return Role.has(request.user, constants.ROLE.ADMIN, request.tenant).then((isAdmin) => {
+			return isAdmin ? {} : {'user': db.ObjectId(request.user._id.toString())};
+		});
+	}
+
+	validate (request, body) {
+		var errors = [];
+		if (typeof body.name !== 'string' || body.name.trim() === '') {
+			errors.push({'field': 'name', 'message': 'is required'});
+		}
+
+		if (body.user && body.role) {
+			errors.push({'field': 'role', 'message': 'must not be set along with "user"'});
+		}
+
+		if (body.user && !/^[0-9a-fA-F]{24}$/.test(body.user)) {
+			errors.push({'field': 'user', 'message': 'must be of type ObjectId'});
+		}
+
+		if (errors.length > 0) {
+			return Promise.reject({
+				'message': constants.ERROR.VALIDATION_FAILED,
+				'errors': errors
+			});
+		}
+
+		return this.ownerQuery(request).then((query) => {
+			// only admins bind keys to roles or other users
+			if (query.user && (body.role || (body.user && body.user !== request.user._id.toString()))) {
+				return Promise.reject(constants.ERROR.FORBIDDEN);
+			}
+
+			if (body.role) {
+				return Role.validate([body.role], request.tenant);
+			}
+
+			if (body.user) {
+				return new Promise((resolve, reject) => {
+					Tenant.db(request.tenant).collection(constants.COLLECTION.USERS).findOne({
+						'_id': db.ObjectId(body.user)
+					}, (error, user) => {
+						if (error) {
+							return reject(error);
+						}
+
+						if (!user) {
+							return reject(constants.ERROR.NOT_FOUND);
+						}
+
+						resolve();
+					});
+				});
+			}
+		});
+	}
+};
\ No newline at end of file
@@ -0,0 +1,34 @@
+'use strict';
+
+const BaseController = require('./base-controller');
+const Audit = require('../lib/audit');
+const Role = require('../lib/role');
+const constants = require('../lib/constants');
+
+module.exports = class AuditController extends BaseController {
+	constructor (server) {
+		super(server);
+		this.server.app.get('/api/audit/_export', this.export.bind(this));
+	}
+
+	export (request, response) {
+		Role.has(request.user, constants.ROLE.ADMIN, request.tenant).then((isAdmin) => {
+			if (!isAdmin) {
+				return Promise.reject(constants.ERROR.FORBIDDEN);
+			}
+
+			return Audit.find(request.query, request.tenant);
+		}).then((entries) => {
+			if (request.query.format !== 'csv') {
+				return this.server.result(request, response, {'data': entries});
+			}
+
+			response.status(200)
+				.set({
+					'Content-Type': 'text/csv; charset=utf-8',
+					'Content-Disposition': 'attachment; filename="audit.csv"'
+				})
+				.send(Audit.toCsv(entries));
+		}).catch(this.respondWithErrorFn(request, response));
+	}
+};
\ No newline at end of file
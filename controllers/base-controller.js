@@ -15,15 +15,57 @@ module.exports = class BaseController {
 
 	respondWithErrorFn (request, response) {
 		return (error) => {
-			if (error === constants.ERROR.NOT_FOUND) {
-				return this.server.error(request, response, error, 404);
-			}
-
-			if (error === constants.ERROR.FORBIDDEN) {
-				return this.server.error(request, response, error, 403);
-			}
+			this.server.error(request, response, error, this.statusCode(error));
+		};
+	}
 
-			this.server.error(request, response, error);
+	requestContext (request) {
+		// tenant of the request, and session and address recorded with entries of the audit log
+		return {
+			'tenant': request.tenant,
+			'session': request.sessionID,
+			'ip': request.ip
 		};
 	}
+
+	statusCode (error) {
+		if (error === constants.ERROR.NOT_FOUND) {
+			return 404;
+		}
+
+		if (error === constants.ERROR.UNAUTHORIZED) {
+			return 401;
+		}
+
+		if (error === constants.ERROR.FORBIDDEN ||
+			(error && error.message === constants.ERROR.FORBIDDEN)) {
+			return 403;
+		}
+
+		if (error === constants.ERROR.PRECONDITION_FAILED) {
+			return 412;
+		}
+
+		if (error === constants.ERROR.TENANT_EXISTS) {
+			return 409;
+		}
+
+		if (error === constants.ERROR.FAILED_DEPENDENCY) {
+			return 424;
+		}
+
+		if (error === constants.ERROR.INVALID_OPERATOR ||
+			error === constants.ERROR.INVALID_CURSOR ||
+			error === constants.ERROR.INVALID_EXPAND ||
+			error === constants.ERROR.INVALID_PIPELINE ||
+			error === constants.ERROR.INVALID_BULK_OPERATION ||
+			error === constants.ERROR.UNKNOWN_ROLE ||
+			error === constants.ERROR.INVALID_TENANT ||
+			(error && error.message === constants.ERROR.VALIDATION_FAILED) ||
+			(error && error.message === constants.ERROR.INVALID_QUERY)) {
+			return 400;
+		}
+
+		return 500;
+	}
 };
\ No newline at end of file
@@ -3,20 +3,33 @@
 const clone = require('clone');
 const BaseController = require('./base-controller');
 const Data = require('../lib/data');
+const Etag = require('../lib/etag');
+const Feed = require('../lib/feed');
+const Query = require('../lib/query');
+const Revision = require('../lib/revision');
 const constants = require('../lib/constants');
 
 module.exports = class CollectionController extends BaseController {
 	constructor (server) {
 		super(server);
 		this.server.app.post('/api/:collection', this.create.bind(this));
+		this.server.app.post('/api/:collection/_bulk', this.bulk.bind(this));
+		this.server.app.post('/api/:collection/_aggregate', this.aggregate.bind(this));
 		this.server.app.get('/api/:collection', this.find.bind(this));
+		this.server.app.get('/api/:collection/_trash', this.trash.bind(this));
+		this.server.app.get('/api/:collection/_changes', this.changes.bind(this));
 		this.server.app.get('/api/:collection/:id', this.findById.bind(this));
 		this.server.app.put('/api/:collection/:id', this.update.bind(this));
+		this.server.app.patch('/api/:collection/:id', this.patch.bind(this));
 		this.server.app.delete('/api/:collection/:id', this.delete.bind(this));
+		this.server.app.post('/api/:collection/:id/restore', this.restore.bind(this));
+		this.server.app.get('/api/:collection/:id/_revisions', this.revisions.bind(this));
+		this.server.app.get('/api/:collection/:id/_revisions/_diff', this.diffRevisions.bind(this));
+		this.server.app.post('/api/:collection/:id/_revisions/:revision/restore', this.restoreRevision.bind(this));
 	}
 
 	create (request, response) {
-		Data.collection(request.params.collection, request.user)
+		this.collection(request, response)
 			.create(request.body)
 			.then((data) => {
 				this.server.result(request, response, data, 201, {
@@ -27,7 +40,56 @@ module.exports = class CollectionController extends BaseController {
 			.catch(this.respondWithErrorFn(request, response));
 	}
 
+	bulk (request, response) {
+		var atomic = request.body.atomic === true;
+
+		this.collection(request, response)
+			.bulk(request.body.operations, atomic)
+			.then((results) => {
+				var statusCode = 200;
+				results = results.map((result, index) => {
+					if (result.error) {
+						let itemStatusCode = this.statusCode(result.error);
+
+						// atomic requests fail with the status of the failed operation
+						if (atomic && statusCode === 200) {
+							statusCode = itemStatusCode;
+						}
+
+						return {
+							'status': itemStatusCode,
+							'error': result.error
+						};
+					}
+
+					return {
+						'status': request.body.operations[index].action === constants.ACTION.CREATE ? 201 : 200,
+						'data': result.data,
+						'rolledBack': result.rolledBack || undefined
+					};
+				});
+
+				this.server.result(request, response, {results}, statusCode);
+			})
+			.catch(this.respondWithErrorFn(request, response));
+	}
+
+	aggregate (request, response) {
+		this.collection(request, response)
+			.aggregate(request.body.pipeline)
+			.then(this.respondWithDataFn(request, response))
+			.catch(this.respondWithErrorFn(request, response));
+	}
+
 	find (request, response) {
+		this.findPage(this.collection(request, response), request, response);
+	}
+
+	trash (request, response) {
+		this.findPage(this.collection(request, response).inTrash(), request, response);
+	}
+
+	findPage (collection, request, response) {
 
 		// set max limit
 		if (request.query.limit && request.query.limit > 100) {
@@ -41,77 +103,144 @@ module.exports = class CollectionController extends BaseController {
 			request.query.skip = parseInt(request.query.skip, 10);
 		}
 
-		// parse query
-		if (request.query.conditions) {
-			try {
-				request.query.conditions = JSON.parse(request.query.conditions);
-
-				// handle conversion to ObjectIDs
-				if (request.query.conditions._id) {
-					if( request.query.conditions._id.$in) {
-						request.query.conditions._id.$in = request.query.conditions._id.$in.map((id) => {
-							return Data.ObjectId(id);
-						});
-					}
+		// parse and validate the conditions and sort
+		Query.parse(request.params.collection, request.user, request.query.conditions, request.query.sort, request.tenant)
+			.then((query) => {
+				return collection.find(query.conditions, query.sort, request.query.limit, request.query.skip, request.query.fields,
+					request.query.cursor, request.query.count !== 'false');
+			})
+			.then((result) => {
+				return collection.expand(result.data, request.query.expand).then((data) => {
+					result.data = data;
+					return result;
+				});
+			})
+			.then(this.respondWithDataFn(request, response))
+			.catch(this.respondWithErrorFn(request, response));
+	}
 
-					if( request.query.conditions._id.$nin) {
-						request.query.conditions._id.$nin = request.query.conditions._id.$nin.map((id) => {
-							return Data.ObjectId(id);
-						});
-					}
-				}
-			} catch (error) {
-				// ignore
-			}
-		}
+	changes (request, response) {
+		Query.parse(request.params.collection, request.user, request.query.conditions, undefined, request.tenant)
+			.then((query) => {
+				return Feed.subscribe(request.params.collection, request.user, query.conditions, (change) => {
+					response.write('event: ' + change.action + '\ndata: ' + JSON.stringify(change.data) + '\n\n');
+				}, request.tenant);
+			})
+			.then((unsubscribe) => {
+				response.status(200).set({
+					'Content-Type': 'text/event-stream',
+					'Cache-Control': 'no-cache',
+					'Connection': 'keep-alive'
+				});
+				response.flushHeaders();
 
-		// parse sort
-		if (request.query.sort) {
-			try {
-				request.query.sort = JSON.parse(request.query.sort);
-			} catch (error) {
-				// ignore
-			}
-		}
+				// keep idle connections from being closed by proxies
+				var heartbeat = setInterval(() => {
+					response.write(':\n\n');
+				}, 30000);
 
-		Data.collection(request.params.collection, request.user)
-			.find(request.query.conditions, request.query.sort, request.query.limit, request.query.skip, request.query.fields)
-			.then(this.respondWithDataFn(request, response))
+				request.on('close', () => {
+					clearInterval(heartbeat);
+					unsubscribe();
+				});
+			})
 			.catch(this.respondWithErrorFn(request, response));
 	}
 
 	findById (request, response) {
-		Data.collection(request.params.collection, request.user)
+		var collection = this.collection(request, response);
+		collection
 			.findOne({
 				'_id': Data.ObjectId(request.params.id)
 			})
-			.then(this.respondWithDataFn(request, response))
+			.then((data) => collection.expand(data, request.query.expand))
+			.then((data) => {
+				this.server.result(request, response, data, 200, this.etagHeaders(data));
+			})
 			.catch(this.respondWithErrorFn(request, response));
 	}
 
 	update (request, response) {
-		Data.collection(request.params.collection, request.user)
-			.update({'_id': Data.ObjectId(request.params.id)}, request.body)
-			.then((data) => {
-
-				// update user session
-				if (request.params.collection === constants.COLLECTION.USERS &&
-					request.user && request.user._id &&
-					request.user._id.toString() === data._id.toString()) {
-					request.user = clone(data);
-				}
+		this.collection(request, response)
+			.update({'_id': Data.ObjectId(request.params.id)}, request.body, Etag.parse(request.get('If-Match')))
+			.then(this.respondWithUpdatedDataFn(request, response))
+			.catch(this.respondWithErrorFn(request, response));
+	}
 
-				this.server.result(request, response, data);
-			})
+	patch (request, response) {
+		this.collection(request, response)
+			.patch({'_id': Data.ObjectId(request.params.id)}, request.body, Etag.parse(request.get('If-Match')))
+			.then(this.respondWithUpdatedDataFn(request, response))
 			.catch(this.respondWithErrorFn(request, response));
 	}
 
 	delete (request, response) {
-		Data.collection(request.params.collection, request.user)
+		this.collection(request, response)
 			.delete({
 				'_id': Data.ObjectId(request.params.id)
+			}, Etag.parse(request.get('If-Match')))
+			.then(this.respondWithDataFn(request, response))
+			.catch(this.respondWithErrorFn(request, response));
+	}
+
+	restore (request, response) {
+		this.collection(request, response)
+			.restore({'_id': Data.ObjectId(request.params.id)})
+			.then(this.respondWithUpdatedDataFn(request, response))
+			.catch(this.respondWithErrorFn(request, response));
+	}
+
+	revisions (request, response) {
+		Revision
+			.find(request.params.collection, request.user, Data.ObjectId(request.params.id), undefined, request.tenant)
+			.then((revisions) => {
+				return {'data': revisions};
 			})
 			.then(this.respondWithDataFn(request, response))
 			.catch(this.respondWithErrorFn(request, response));
 	}
+
+	diffRevisions (request, response) {
+		var to = request.query.to ? parseInt(request.query.to, 10) : undefined;
+		Revision
+			.diff(request.params.collection, request.user, Data.ObjectId(request.params.id), parseInt(request.query.from, 10), to,
+				this.requestContext(request))
+			.then(this.respondWithDataFn(request, response))
+			.catch(this.respondWithErrorFn(request, response));
+	}
+
+	restoreRevision (request, response) {
+		Revision
+			.restore(request.params.collection, request.user, Data.ObjectId(request.params.id), parseInt(request.params.revision, 10),
+				this.requestContext(request))
+			.then(this.respondWithUpdatedDataFn(request, response))
+			.catch(this.respondWithErrorFn(request, response));
+	}
+
+	collection (request, response) {
+		var collection = Data.collection(request.params.collection, request.user, this.requestContext(request));
+
+		// event handlers that ran are listed in a debug header in development
+		response.locals.events = collection.firedEvents;
+		return collection;
+	}
+
+	respondWithUpdatedDataFn (request, response) {
+		return (data) => {
+
+			// update user session
+			if (request.params.collection === constants.COLLECTION.USERS &&
+				request.user && request.user._id &&
+				request.user._id.toString() === data._id.toString()) {
+				request.user = clone(data);
+			}
+
+			this.server.result(request, response, data, 200, this.etagHeaders(data));
+		};
+	}
+
+	etagHeaders (data) {
+		var etag = Etag.generate(data);
+		return etag ? {'ETag': etag} : {};
+	}
 };
\ No newline at end of file
@@ -1,12 +1,13 @@
 'use strict';
 
 const BaseController = require('./base-controller');
-const db = require('../lib/db');;
+const Tenant = require('../lib/tenant');
 
 module.exports = class ComponentController extends BaseController {
 	constructor (server) {
 		super(server);
 		this.server.app.get('/components/:id', function(request, response, next) {
+			var db = Tenant.db(request.tenant);
 			db.collection('components').findOne({
 				_id: db.ObjectId(request.params.id)
 			}, (error, component) => {
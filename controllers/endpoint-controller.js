@@ -0,0 +1,125 @@
+'use strict';
+
+const BaseController = require('./base-controller');
+const Event = require('../lib/event');
+const Role = require('../lib/role');
+const Tenant = require('../lib/tenant');
+const constants = require('../lib/constants');
+
+module.exports = class EndpointController extends BaseController {
+	constructor (server) {
+		super(server);
+		this.server.app.all('/api/fn/*', this.invoke.bind(this));
+	}
+
+	invoke (request, response) {
+		var path = request.path.substr('/api/fn'.length);
+
+		// endpoints are looked up on every request so that changes apply without a restart
+		Tenant.db(request.tenant).collection(constants.COLLECTION.ENDPOINTS).find({
+			'method': request.method,
+			'enabled': {'$ne': false}
+		}, (error, endpoints) => {
+			if (error) {
+				return this.respondWithErrorFn(request, response)(error);
+			}
+
+			var endpoint;
+			var params;
+			endpoints.some((item) => {
+				params = this.matchPath(item.path, path);
+				endpoint = params ? item : undefined;
+				return !!endpoint;
+			});
+
+			if (!endpoint) {
+				return this.respondWithErrorFn(request, response)(constants.ERROR.NOT_FOUND);
+			}
+
+			Role.resolveUser(request.user, request.tenant).then((user) => {
+				if (!this.isPermitted(endpoint, user)) {
+					return Promise.reject(constants.ERROR.FORBIDDEN);
+				}
+
+				this.run(request, response, endpoint, path, params);
+			}).catch(this.respondWithErrorFn(request, response));
+		});
+	}
+
+	run (request, response, endpoint, path, params) {
+		var responded = false;
+		var respond = (statusCode, body) => {
+			if (responded) {
+				return;
+			}
+
+			responded = true;
+			this.server.result(request, response, body, statusCode || 200);
+		};
+
+		Event.execute(endpoint, {
+			'request': {
+				'method': request.method,
+				'path': path,
+				'params': params,
+				'query': request.query,
+				'body': request.body
+			},
+			'user': request.user,
+			'respond': respond
+		}, request.tenant).then(() => {
+			if (!responded) {
+				responded = true;
+				response.status(204).end();
+			}
+		}).catch((error) => {
+			if (!responded) {
+				responded = true;
+				this.respondWithErrorFn(request, response)(error);
+			}
+		});
+	}
+
+	matchPath (pattern, path) {
+		var patternParts = String(pattern || '').split('/').filter((part) => part !== '');
+		var pathParts = path.split('/').filter((part) => part !== '');
+		var params = {};
+		var decode = (value) => {
+			try {
+				return decodeURIComponent(value);
+			} catch (error) {
+				return value;
+			}
+		};
+
+		// named parameters match any segment and a trailing "*" matches any remainder
+		for (let i = 0; i < patternParts.length; i++) {
+			if (patternParts[i] === '*' && i === patternParts.length - 1) {
+				params[0] = pathParts.slice(i).map(decode).join('/');
+				return params;
+			}
+
+			if (i >= pathParts.length) {
+				return null;
+			}
+
+			if (patternParts[i].charAt(0) === ':') {
+				params[patternParts[i].substr(1)] = decode(pathParts[i]);
+			} else if (patternParts[i] !== pathParts[i]) {
+				return null;
+			}
+		}
+
+		return patternParts.length === pathParts.length ? params : null;
+	}
+
+	isPermitted (endpoint, user) {
+		// endpoints with the public role may be invoked by anyone
+		var roles = endpoint.roles instanceof Array ? endpoint.roles : [];
+		if (roles.indexOf(constants.ROLE.PUBLIC) !== -1) {
+			return true;
+		}
+
+		return !!user && !!user.roles && roles.some((role) => user.roles.indexOf(role) !== -1);
+	}
+};
\ No newline at end of file
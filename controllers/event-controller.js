@@ -0,0 +1,50 @@
+'use strict';
+
+const BaseController = require('./base-controller');
+const Event = require('../lib/event');
+const Role = require('../lib/role');
+const Tenant = require('../lib/tenant');
+const constants = require('../lib/constants');
+const db = require('../lib/db');
+
+module.exports = class EventController extends BaseController {
+	constructor (server) {
+		super(server);
+		this.server.app.post('/api/events/:id/_test', this.test.bind(this));
+	}
+
+	test (request, response) {
+		Role.has(request.user, constants.ROLE.ADMIN, request.tenant).then((isAdmin) => {
+			if (!isAdmin) {
+				return this.respondWithErrorFn(request, response)(constants.ERROR.FORBIDDEN);
+			}
+
+			if (!/^[0-9a-fA-F]{24}$/.test(request.params.id)) {
+				return this.respondWithErrorFn(request, response)(constants.ERROR.NOT_FOUND);
+			}
+
+			Tenant.db(request.tenant).collection(constants.COLLECTION.EVENTS).findOne({
+				'_id': db.ObjectId(request.params.id)
+			}, (error, event) => {
+				if (error) {
+					return this.respondWithErrorFn(request, response)(error);
+				}
+
+				if (!event) {
+					return this.respondWithErrorFn(request, response)(constants.ERROR.NOT_FOUND);
+				}
+
+				var body = request.body || {};
+				Event.test(event, {
+					'user': body.user || null,
+					'query': body.query || {},
+					'data': body.data || {},
+					'collectionName': body.collectionName,
+					'action': body.action
+				}, request.tenant)
+					.then(this.respondWithDataFn(request, response))
+					.catch(this.respondWithErrorFn(request, response));
+			});
+		}).catch(this.respondWithErrorFn(request, response));
+	}
+};
\ No newline at end of file
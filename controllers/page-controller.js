@@ -1,12 +1,13 @@
 'use strict';
 
 const BaseController = require('./base-controller');
-const db = require('../lib/db');
+const Tenant = require('../lib/tenant');
 
 module.exports = class PageController extends BaseController {
 	constructor (server) {
 		super(server);
 		this.server.app.get('/:path*?', function (request, response, next) {
+			var db = Tenant.db(request.tenant);
 			db.collection('pages').findOne({
 				path: request.params.path || 'index'
 			}, (error, page) => {
@@ -0,0 +1,69 @@
+'use strict';
+
+const bcrypt = require('bcrypt');
+const BaseController = require('./base-controller');
+const Role = require('../lib/role');
+const Tenant = require('../lib/tenant');
+const constants = require('../lib/constants');
+
+module.exports = class TenantController extends BaseController {
+	constructor (server) {
+		super(server);
+		this.server.app.get('/api/tenants', this.find.bind(this));
+		this.server.app.post('/api/tenants', this.provision.bind(this));
+	}
+
+	find (request, response) {
+		this.isServerAdmin(request)
+			.then(() => Tenant.all())
+			.then(this.respondWithDataFn(request, response))
+			.catch(this.respondWithErrorFn(request, response));
+	}
+
+	provision (request, response) {
+		var body = request.body || {};
+		this.isServerAdmin(request)
+			.then(() => this.hashAdmin(body.admin))
+			.then((admin) => Tenant.provision(body.name, body.hosts, admin))
+			.then((tenant) => {
+				this.server.result(request, response, tenant, 201);
+			})
+			.catch(this.respondWithErrorFn(request, response));
+	}
+
+	isServerAdmin (request) {
+		// tenants are managed by the admins of the server's database
+		if (request.tenant) {
+			return Promise.reject(constants.ERROR.FORBIDDEN);
+		}
+
+		return Role.has(request.user, constants.ROLE.ADMIN).then((isAdmin) => {
+			return isAdmin ? undefined : Promise.reject(constants.ERROR.FORBIDDEN);
+		});
+	}
+
+	hashAdmin (admin) {
+		if (!admin) {
+			return Promise.resolve();
+		}
+
+		if (typeof admin.email !== 'string' || typeof admin.password !== 'string') {
+			return Promise.reject(constants.ERROR.INVALID_TENANT);
+		}
+
+		return new Promise((resolve, reject) => {
+			bcrypt.hash(admin.password, 10, (error, hash) => {
+				if (error) {
+					return reject(error);
+				}
+
+				resolve({
+					'email': admin.email,
+					'password': hash,
+					'firstName': admin.firstName,
+					'lastName': admin.lastName
+				});
+			});
+		});
+	}
+};
\ No newline at end of file
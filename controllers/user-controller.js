@@ -3,10 +3,15 @@
 const bcrypt = require('bcrypt');
 const clone = require('clone');
 const BaseController = require('./base-controller');
+const AccessToken = require('../lib/access-token');
+const Audit = require('../lib/audit');
+const BearerStrategy = require('../lib/bearer-strategy');
 const db = require('../lib/db');
 const Data = require('../lib/data');
 const Email = require('../lib/email');
 const Property = require('../lib/property');
+const Role = require('../lib/role');
+const Tenant = require('../lib/tenant');
 const Token = require('../lib/token');
 const moment = require('moment');
 const passport = require('passport');
@@ -16,44 +21,64 @@ const constants = require('../lib/constants');
 module.exports = class UserController extends BaseController {
 	constructor (server) {
 		super(server);
-		this.users = db.collection(constants.COLLECTION.USERS);
 		this.server.app.use(passport.initialize());
 		this.server.app.use(passport.session());
 
+		// requests with an "Authorization: Bearer" header are authenticated without a session
+		passport.use(new BearerStrategy());
+		this.server.app.use(passport.authenticate('bearer', {'session': false}));
+		this.server.app.use(this.resolveTenant.bind(this));
+
 		passport.use(new LocalStrategy({
 			usernameField: 'email',
-			passwordField: 'password'
-		}, (email, password, done) => {
-			this.users.findOne({email: email}, (error, user) => {
+			passwordField: 'password',
+			passReqToCallback: true
+		}, (request, email, password, done) => {
+			this.users(request).findOne({email: email}, (error, user) => {
 				if (error) {
 					return done(error);
 				}
 
 				if (!user) {
+					this.audit(request, null, 'login', Audit.outcomes.FORBIDDEN, 'Unknown email');
 					return done(null, false, {message: 'Invalid Credentials'});
 				}
 
 				bcrypt.compare(password, user.password, (error, result) => {
 					if (!result) {
+						this.audit(request, user, 'login', Audit.outcomes.FORBIDDEN);
 						return done(null, false, {message: 'Invalid Credentials'});
 					}
 
+					user.tenant = request.tenant;
 					return done(null, user);
 				});
 			});
 		}));
 
-		// serialize the user
+		// serialize the user along with the tenant it belongs to
 		passport.serializeUser((user, done) => {
-			done(null, user._id);
+			done(null, {'_id': user._id, 'tenant': user.tenant});
 		});
 
-		// deserialize the user by find the user by id
-		passport.deserializeUser((_id, done) => {
-			this.users.findOne({'_id': db.ObjectId(_id)}, done);
+		// deserialize the user by find the user by id, sessions from before tenants only hold the id
+		passport.deserializeUser((serialized, done) => {
+			var {_id, tenant} = typeof serialized === 'object' ? serialized : {'_id': serialized};
+			Tenant.db(tenant).collection(constants.COLLECTION.USERS).findOne({'_id': db.ObjectId(_id)}, (error, user) => {
+				if (user) {
+					user.tenant = tenant;
+				}
+
+				done(error, user);
+			});
 		});
 
-		this.server.app.post('/api/users/login', passport.authenticate('local'), this.login.bind(this));
+		this.server.app.post('/api/users/login', (request, response, next) => {
+			// logins requesting tokens are stateless and do not start a session
+			passport.authenticate('local', {'session': !this.wantsTokens(request)})(request, response, next);
+		}, this.login.bind(this));
+		this.server.app.post('/api/users/token/refresh', this.refreshToken.bind(this));
+		this.server.app.post('/api/users/token/revoke', this.revokeToken.bind(this));
 		this.server.app.get('/api/users/logout', this.logout.bind(this));
 		this.server.app.post('/api/users', this.create.bind(this));
 		this.server.app.post('/api/users/reset-password', this.resetPassword.bind(this));
@@ -63,11 +88,30 @@ module.exports = class UserController extends BaseController {
 		this.server.app.get('/api/users/current', this.current.bind(this));
 		this.server.app.post('/api/users/current/is-in-role', this.currentIsInRole.bind(this));
 		this.server.app.post('/api/users/current/change-password', this.changePassword.bind(this));
+		this.server.app.post('/api/users/:id/roles', this.assignRole.bind(this));
+		this.server.app.delete('/api/users/:id/roles/:role', this.revokeRole.bind(this));
+	}
+
+	resolveTenant (request, response, next) {
+		Tenant.resolve(request).then((tenant) => {
+			request.tenant = tenant;
+
+			// users are only signed in to the tenant they belong to
+			if (request.user && (request.user.tenant || undefined) !== tenant) {
+				request.user = null;
+			}
+
+			next();
+		}).catch(this.respondWithErrorFn(request, response));
+	}
+
+	users (request) {
+		return Tenant.db(request.tenant).collection(constants.COLLECTION.USERS);
 	}
 
 	login (request, response) {
 		var emailConfirmed = true;
-		Property.getValue('backrest.authentication.confirmEmailToken.timeout', 1440).then((timeout) => {
+		Property.getValue('backrest.authentication.confirmEmailToken.timeout', 1440, request.tenant).then((timeout) => {
 			if (request.user._created && !request.user.isConfirmed) {
 				var timeoutDate = moment(request.user._created).add('minutes', timeout);
 				var currentDate = moment();
@@ -75,6 +119,8 @@ module.exports = class UserController extends BaseController {
 			}
 
 			if (!emailConfirmed) {
+				this.audit(request, request.user, 'login', Audit.outcomes.FORBIDDEN);
+
 				// cancel the login
 				request.logout();
 
@@ -84,9 +130,10 @@ module.exports = class UserController extends BaseController {
 
 			// log authentication change
 			console.log('Session ' + request.sessionID + ' is now logged in as ' + request.user.email);
+			this.audit(request, request.user, 'login', Audit.outcomes.ALLOWED);
 
 			// set last login
-			this.users.update({
+			this.users(request).update({
 				'_id': request.user._id
 			}, {
 				'$set': {
@@ -99,18 +146,46 @@ module.exports = class UserController extends BaseController {
 					return this.server.error(request, response, error, 500);
 				}
 
-				// return result
-				Data.collection('users', request.user)
+				// return result, along with tokens when requested
+				Data.collection(constants.COLLECTION.USERS, request.user, this.requestContext(request))
 					.findOne({
 						'_id': request.user._id
 					})
+					.then((data) => {
+						if (!this.wantsTokens(request)) {
+							return data;
+						}
+
+						return AccessToken.issue(request.user).then((tokens) => Object.assign(tokens, {'user': data}));
+					})
 					.then(this.respondWithDataFn(request, response))
 					.catch(this.respondWithErrorFn(request, response));
 			});
 		});
 	}
 
+	wantsTokens (request) {
+		return !!request.body && request.body.token === true;
+	}
+
+	refreshToken (request, response) {
+		AccessToken.refresh(String((request.body || {}).refreshToken))
+			.then(this.respondWithDataFn(request, response))
+			.catch(this.respondWithErrorFn(request, response));
+	}
+
+	revokeToken (request, response) {
+		AccessToken.revoke(String((request.body || {}).refreshToken))
+			.then(() => true)
+			.then(this.respondWithDataFn(request, response))
+			.catch(this.respondWithErrorFn(request, response));
+	}
+
 	logout (request, response) {
+		if (request.user) {
+			this.audit(request, request.user, 'logout', Audit.outcomes.ALLOWED);
+		}
+
 		request.logout();
 		this.server.result(request, response, true);
 	}
@@ -122,10 +197,10 @@ module.exports = class UserController extends BaseController {
 			data.password = hash;
 
 			// create the new user
-			Data.collection('users', request.user)
+			Data.collection(constants.COLLECTION.USERS, request.user, this.requestContext(request))
 				.create(data)
 				.then((data) => {
-					Email.sendConfirmEmail(data).then((error) => {
+					Email.sendConfirmEmail(data, request.tenant).then((error) => {
 						if (error) {
 							throw error;
 						}
@@ -142,8 +217,8 @@ module.exports = class UserController extends BaseController {
 
 	resetPassword (request, response) {
 		var promises = [];
-		promises.push(Property.getValue('backrest.authentication.resetPasswordToken.algorithm'));
-		promises.push(Property.getValue('backrest.authentication.resetPasswordToken.password'));
+		promises.push(Property.getValue('backrest.authentication.resetPasswordToken.algorithm', undefined, request.tenant));
+		promises.push(Property.getValue('backrest.authentication.resetPasswordToken.password', undefined, request.tenant));
 
 		Promise.all(promises).then((properties) => {
 			var [algorithm, password] = properties;
@@ -153,7 +228,7 @@ module.exports = class UserController extends BaseController {
 			}
 
 			bcrypt.hash(request.body.password, 10, (error, hash) => {
-				this.users.findAndModify({
+				this.users(request).findAndModify({
 					'query': {'_id': db.ObjectId(token.data)},
 					'update': {
 						'$set': {
@@ -168,6 +243,7 @@ module.exports = class UserController extends BaseController {
 
 					// log email confirmation
 					console.log('Session ' + request.sessionID + ' has updated their password');
+					this.audit(request, {'_id': token.data}, 'resetPassword', Audit.outcomes.ALLOWED);
 
 					// return success
 					this.server.result(request, response, true);
@@ -178,7 +254,7 @@ module.exports = class UserController extends BaseController {
 
 	resetPasswordRequest (request, response) {
 		// get the data
-		this.users.findOne({
+		this.users(request).findOne({
 			'email': request.body.email
 		}, (error, data) => {
 
@@ -192,7 +268,7 @@ module.exports = class UserController extends BaseController {
 				return this.server.error(request, response, 'Not Found', 404);
 			}
 
-			Email.sendResetPassword(data).then((error) => {
+			Email.sendResetPassword(data, request.tenant).then((error) => {
 				if (error) {
 					return this.server.error(request, response, error, 500);
 				}
@@ -205,8 +281,8 @@ module.exports = class UserController extends BaseController {
 
 	confirmEmail (request, response) {
 		var promises = [];
-		promises.push(Property.getValue('backrest.authentication.confirmEmailToken.algorithm'));
-		promises.push(Property.getValue('backrest.authentication.confirmEmailToken.password'));
+		promises.push(Property.getValue('backrest.authentication.confirmEmailToken.algorithm', undefined, request.tenant));
+		promises.push(Property.getValue('backrest.authentication.confirmEmailToken.password', undefined, request.tenant));
 		Promise.all(promises).then((values) => {
 			var [algorithm, password] = values;
 			var token = Token.parse(algorithm, password, request.body.token);
@@ -215,7 +291,7 @@ module.exports = class UserController extends BaseController {
 			}
 
 			// update confirmation and save changes
-			this.users.update({
+			this.users(request).update({
 				'_id': db.ObjectId(token.data)
 			}, {
 				'$set': {
@@ -238,7 +314,7 @@ module.exports = class UserController extends BaseController {
 
 	confirmEmailRequest (request, response) {
 		// get the data
-		this.users.findOne({
+		this.users(request).findOne({
 			'email': request.body.email
 		}, (error, data) => {
 			if (error) {
@@ -250,7 +326,7 @@ module.exports = class UserController extends BaseController {
 				return this.server.error(request, response, 'Not Found', 404);
 			}
 
-			Email.sendConfirmEmail(data).then((error) => {
+			Email.sendConfirmEmail(data, request.tenant).then((error) => {
 				if (error) {
 					return this.server.error(request, response, error, 500);
 				}
@@ -266,7 +342,7 @@ module.exports = class UserController extends BaseController {
 			return this.server.result(request, response);
 		}
 
-		Data.collection('users', request.user)
+		Data.collection(constants.COLLECTION.USERS, request.user, this.requestContext(request))
 			.findOne({
 				'_id': request.user._id
 			})
@@ -279,20 +355,50 @@ module.exports = class UserController extends BaseController {
 			return this.server.result(request, response, false);
 		}
 
-		var roles = request.user.roles || [];
-		this.server.result(request, response, roles.some((role) => {
-			return role === request.body.role;
-		}));
+		Role.has(request.user, request.body.role, request.tenant)
+			.then(this.respondWithDataFn(request, response))
+			.catch(this.respondWithErrorFn(request, response));
+	}
+
+	assignRole (request, response) {
+		this.updateRoles(request, response, {
+			'$addToSet': {'roles': request.body.role}
+		});
+	}
+
+	revokeRole (request, response) {
+		this.updateRoles(request, response, {
+			'$pull': {'roles': request.params.role}
+		});
+	}
+
+	updateRoles (request, response, operators) {
+		Role.has(request.user, constants.ROLE.ADMIN, request.tenant).then((isAdmin) => {
+			if (!isAdmin) {
+				return Promise.reject(constants.ERROR.FORBIDDEN);
+			}
+
+			if (!/^[0-9a-fA-F]{24}$/.test(request.params.id)) {
+				return Promise.reject(constants.ERROR.NOT_FOUND);
+			}
+
+			// assigned roles are validated when patching users
+			return Data.collection(constants.COLLECTION.USERS, request.user, this.requestContext(request))
+				.patch({'_id': db.ObjectId(request.params.id)}, operators);
+		})
+			.then(this.respondWithDataFn(request, response))
+			.catch(this.respondWithErrorFn(request, response));
 	}
 
 	changePassword (request, response) {
 		bcrypt.compare(request.body.oldPassword, request.user.password, (error, result) => {
 			if (!result) {
+				this.audit(request, request.user, 'changePassword', Audit.outcomes.FORBIDDEN);
 				return this.server.error(request, response, 'Invalid Request', 400);
 			}
 
 			bcrypt.hash(request.body.newPassword, 10, (error, hash) => {
-				this.users.update({
+				this.users(request).update({
 					'_id': db.ObjectId(request.user._id)
 				}, {
 					'$set': {
@@ -306,6 +412,7 @@ module.exports = class UserController extends BaseController {
 
 					// log email confirmation
 					console.log('Session ' + request.sessionID + ' has updated their password');
+					this.audit(request, request.user, 'changePassword', Audit.outcomes.ALLOWED);
 
 					// return success
 					this.server.result(request, response, true);
@@ -313,4 +420,14 @@ module.exports = class UserController extends BaseController {
 			});
 		});
 	}
+
+	audit (request, user, action, outcome, error) {
+		Audit.log(user, this.requestContext(request), {
+			'action': action,
+			'collection': constants.COLLECTION.USERS,
+			'documentIds': user && user._id ? [user._id] : [],
+			'outcome': outcome,
+			'error': error
+		});
+	}
 };
\ No newline at end of file
@@ -0,0 +1,193 @@
+'use strict';
+
+const crypto = require('crypto');
+const db = require('./db');
+const Property = require('./property');
+const Secret = require('./secret');
+const Tenant = require('./tenant');
+const Token = require('./token');
+const constants = require('./constants');
+
+/**
+ * Signed access tokens for stateless authentication and the refresh tokens which renew them.
+ * Access tokens expire after "backrest.authentication.accessToken.timeout" minutes and are signed
+ * with the BACKREST_ACCESS_TOKEN_SECRET environment variable or else a secret generated for the
+ * install, so that they can be verified before the tenant of a request is known.  Refresh tokens expire after
+ * "backrest.authentication.refreshToken.timeout" minutes, are stored hashed in the server's
+ * database, and are replaced each time they are used.
+ * @type {AccessToken}
+ */
+module.exports = class AccessToken {
+	/**
+	 * Issues an access token and a refresh token for a user.
+	 * @param {object} user User being authenticated, with the "tenant" it belongs to.
+	 * @returns {Promise} Resolves with the "accessToken", "refreshToken", "tokenType", and the
+	 * seconds the access token "expiresIn".
+	 */
+	static issue (user) {
+		return Promise.all([
+			this.secret(),
+			Property.getValue('backrest.authentication.accessToken.timeout', 15, user.tenant),
+			Property.getValue('backrest.authentication.refreshToken.timeout', 43200, user.tenant)
+		]).then((properties) => {
+			var [secret, timeout, refreshTimeout] = properties;
+			var refreshToken = crypto.randomBytes(32).toString('hex');
+			var expiresAt = new Date();
+			expiresAt.setMinutes(expiresAt.getMinutes() + refreshTimeout);
+
+			return new Promise((resolve, reject) => {
+				db.collection(constants.COLLECTION.REFRESH_TOKENS).insert({
+					'token': this.hash(refreshToken),
+					'user': user._id,
+					'tenant': user.tenant,
+					'expiresAt': expiresAt,
+					'_created': new Date()
+				}, (error) => {
+					if (error) {
+						return reject(error);
+					}
+
+					resolve({
+						'accessToken': Token.sign(timeout, secret, {
+							'user': user._id.toString(),
+							'tenant': user.tenant
+						}),
+						'refreshToken': refreshToken,
+						'tokenType': 'Bearer',
+						'expiresIn': timeout * 60
+					});
+				});
+			});
+		});
+	}
+
+	/**
+	 * Verifies an access token.
+	 * @param {string} accessToken Access token being verified.
+	 * @returns {Promise} Resolves with the user of the token, or null when the token is invalid,
+	 * expired, or its user no longer exists.
+	 */
+	static verify (accessToken) {
+		return this.secret().then((secret) => {
+			var token = Token.verify(secret, accessToken);
+			if (!token || !Token.validate(token) || !token.data || !/^[0-9a-fA-F]{24}$/.test(token.data.user)) {
+				return null;
+			}
+
+			return this.findUser(token.data.user, token.data.tenant);
+		});
+	}
+
+	/**
+	 * Exchanges a refresh token for a new access token and refresh token.  The refresh token can
+	 * only be used once.
+	 * @param {string} refreshToken Refresh token being exchanged.
+	 * @returns {Promise} Resolves like issue or rejects when the refresh token is invalid or expired.
+	 */
+	static refresh (refreshToken) {
+		return new Promise((resolve, reject) => {
+			db.collection(constants.COLLECTION.REFRESH_TOKENS).findAndModify({
+				'query': {
+					'token': this.hash(refreshToken),
+					'expiresAt': {'$gt': new Date()}
+				},
+				'remove': true
+			}, (error, stored) => {
+				if (error) {
+					return reject(error);
+				}
+
+				if (!stored) {
+					return reject(constants.ERROR.UNAUTHORIZED);
+				}
+
+				resolve(stored);
+			});
+		}).then((stored) => {
+			return this.findUser(stored.user, stored.tenant);
+		}).then((user) => {
+			return user ? this.issue(user) : Promise.reject(constants.ERROR.UNAUTHORIZED);
+		});
+	}
+
+	/**
+	 * Revokes a refresh token.  Access tokens issued with it remain valid until they expire.
+	 * @param {string} refreshToken Refresh token being revoked.
+	 * @returns {Promise}
+	 */
+	static revoke (refreshToken) {
+		return new Promise((resolve, reject) => {
+			db.collection(constants.COLLECTION.REFRESH_TOKENS).remove({
+				'token': this.hash(refreshToken)
+			}, (error) => {
+				if (error) {
+					return reject(error);
+				}
+
+				resolve();
+			});
+		});
+	}
+
+	/**
+	 * Permanently deletes expired refresh tokens.
+	 * @returns {Promise}
+	 */
+	static purge () {
+		return new Promise((resolve, reject) => {
+			db.collection(constants.COLLECTION.REFRESH_TOKENS).remove({
+				'expiresAt': {'$lt': new Date()}
+			}, (error) => {
+				if (error) {
+					return reject(error);
+				}
+
+				resolve();
+			});
+		});
+	}
+
+	/**
+	 * Retrieves the secret access tokens are signed with.
+	 * @private
+	 * @returns {Promise} Resolves with the secret or rejects when it cannot be retrieved.
+	 */
+	static secret () {
+		return Secret.get('accessToken', 'BACKREST_ACCESS_TOKEN_SECRET');
+	}
+
+	/**
+	 * Retrieves a user of a tenant.
+	 * @private
+	 * @param {string|ObjectId} id Id of the user.
+	 * @param {string} [tenant] Tenant of the user.
+	 * @returns {Promise} Resolves with the user, with its "tenant" set, or null.
+	 */
+	static findUser (id, tenant) {
+		return new Promise((resolve, reject) => {
+			Tenant.db(tenant).collection(constants.COLLECTION.USERS).findOne({
+				'_id': db.ObjectId(id.toString())
+			}, (error, user) => {
+				if (error) {
+					return reject(error);
+				}
+
+				if (user) {
+					user.tenant = tenant;
+				}
+
+				resolve(user);
+			});
+		});
+	}
+
+	/**
+	 * Hashes a token so that stored tokens cannot be used if they are leaked.
+	 * @private
+	 * @param {string} token Token being hashed.
+	 * @returns {string}
+	 */
+	static hash (token) {
+		return crypto.createHash('sha256').update(String(token)).digest('hex');
+	}
+};
\ No newline at end of file
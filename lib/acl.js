@@ -1,10 +1,24 @@
 'use strict';
 
+const _ = require('lodash');
 const db = require('./db');
+const Role = require('./role');
+const Tenant = require('./tenant');
 const constants = require('./constants');
 
 /**
- * Access Control List for securing data.
+ * Access Control List for securing data.  Users have the roles they are assigned and the roles
+ * those inherit.  Besides roles, the ACL of a collection may grant access to the documents
+ * matching a rule.  The "owner" rule matches the documents a user created, other rules are
+ * defined by name in the "rules" of the ACL, and may combine:
+ * - "members": a field listing the ids of the users the document is shared with.
+ * - "user": a map of document fields to the user fields they must equal.
+ * - "match": conditions where strings such as "$user.orgId" are replaced with values of the user.
+ * Rules restrict the queries of reads, updates, and deletes, and are checked against the data of creates.
+ *
+ * Writes with fields the user may not write are rejected rather than stripped when the ACL is
+ * "strict".  Fields in the "masks" of the ACL are read with all but their "first" or "last"
+ * characters replaced, except by the roles and rules listed in "except".
  * @type {Acl}
  */
 module.exports = class Acl {
@@ -25,56 +39,82 @@ module.exports = class Acl {
 	 * @param {string} action Name of the action.
 	 * @param {object} user User being checked for access.  Typically the logged in user.
 	 * @param {object} query Query being performed on the collection.
+	 * @param {object} [data] Data being created, checked against the rules which grant creating.
+	 * @param {string} [tenant] Tenant of the collection.
 	 * @returns {Promise}
 	 */
-	static permit (collectionName, action, user, query) {
-		return new Promise((resolve, reject) => {
-			if (this.actions.indexOf(action) === -1) {
-				return reject(constants.ERROR.INVALID_ACTION);
-			}
-
-			if (!query) {
-				query = {};
-			}
-
-			db.collection(constants.COLLECTION.COLLECTIONS).findOne({
-				'name': collectionName
-			}, (error, collection) => {
-				if (error) {
-					return reject(error);
+	static permit (collectionName, action, user, query, data, tenant) {
+		// inherited roles apply to every check
+		return Role.resolveUser(user, tenant).then((user) => {
+			return new Promise((resolve, reject) => {
+				if (this.actions.indexOf(action) === -1) {
+					return reject(constants.ERROR.INVALID_ACTION);
 				}
 
-				if (!collection) {
-					return reject(constants.ERROR.NOT_FOUND);
+				if (!query) {
+					query = {};
 				}
 
-				var roles;
-				if (!collection.acl) {
-					roles = [];
-				} else if (collection.acl[action] instanceof Array) {
-					roles = collection.acl[action];
-				} else {
-					roles = Object.keys(collection.acl[action]);
-				}
+				Tenant.db(tenant).collection(constants.COLLECTION.COLLECTIONS).findOne({
+					'name': collectionName
+				}, (error, collection) => {
+					if (error) {
+						return reject(error);
+					}
 
-				if (!user && roles.indexOf(constants.ROLE.PUBLIC) > -1) {
-					return resolve(query);
-				}
+					if (!collection) {
+						return reject(constants.ERROR.NOT_FOUND);
+					}
 
-				var hasRole = roles.some((role) => {
-					return user && user.roles && user.roles.indexOf(role) !== -1;
-				});
+					var roles;
+					if (!collection.acl) {
+						roles = [];
+					} else if (collection.acl[action] instanceof Array) {
+						roles = collection.acl[action];
+					} else {
+						roles = Object.keys(collection.acl[action]);
+					}
 
-				if (!hasRole && roles.indexOf(constants.ROLE.OWNER) !== -1) {
-					hasRole = true;
-					query._createdBy = user._id.toString();
-				}
+					if (!user && roles.indexOf(constants.ROLE.PUBLIC) > -1) {
+						return resolve(query);
+					}
 
-				if (!hasRole) {
-					reject(constants.ERROR.FORBIDDEN);
-				}
+					var hasRole = roles.some((role) => {
+						return !this.isRule(collection, role) && user && user.roles && user.roles.indexOf(role) !== -1;
+					});
+
+					if (hasRole) {
+						return resolve(query);
+					}
+
+					// without a role access is limited to the documents matching a rule
+					var conditions = [];
+					roles.forEach((role) => {
+						var condition = this.isRule(collection, role) ? this.ruleCondition(collection, role, user) : undefined;
+						if (condition) {
+							conditions.push(condition);
+						}
+					});
+
+					if (conditions.length === 0) {
+						return reject(constants.ERROR.FORBIDDEN);
+					}
+
+					if (action === constants.ACTION.CREATE) {
+						// documents are owned by the user creating them, so only other rules are checked against the
+						// data as it is saved, without the fields the rule does not grant
+						const Query = require('./query'); // require 'Query' here to prevent issue with circular dependency
+						var permitted = !data || !!user && roles.indexOf(constants.ROLE.OWNER) !== -1 || roles.some((role) => {
+							var condition = this.isRule(collection, role) ? this.ruleCondition(collection, role, user) : undefined;
+							var granted = collection.acl[action] instanceof Array ? data : _.pick(data, collection.acl[action][role]);
+							return !!condition && Query.match(granted, condition);
+						});
 
-				return resolve(query);
+						return permitted ? resolve(query) : reject(constants.ERROR.FORBIDDEN);
+					}
+
+					resolve(this.restrict(query, conditions));
+				});
 			});
 		});
 	}
@@ -86,74 +126,432 @@ module.exports = class Acl {
 	 * @param {string} action Name of the action.
 	 * @param {object} user User being checked for access.  Typically the logged in user.
 	 * @param {object} data Data being sanitized.
+	 * @param {string} [tenant] Tenant of the collection.
+	 * @param {object} [query] Query permitted for the action.  When provided, such as for updates,
+	 * the fields of the rules the query is restricted by apply rather than those of the rules the data matches.
 	 * @returns {Promise}
 	 */
-	static sanitize (collectionName, action, user, data) {
-		return new Promise((resolve, reject) => {
-			if (this.actions.indexOf(action) === -1) {
-				return reject(constants.ERROR.INVALID_ACTION);
+	static sanitize (collectionName, action, user, data, tenant, query) {
+		return Role.resolveUser(user, tenant).then((user) => {
+			return new Promise((resolve, reject) => {
+				if (this.actions.indexOf(action) === -1) {
+					return reject(constants.ERROR.INVALID_ACTION);
+				}
+
+				Tenant.db(tenant).collection(constants.COLLECTION.COLLECTIONS).findOne({
+					'name': collectionName
+				}, (error, collection) => {
+					if (error) {
+						return reject(error);
+					}
+
+					if (!collection) {
+						return reject(constants.ERROR.NOT_FOUND);
+					}
+
+					if (!collection.acl) {
+						return resolve(data);
+					}
+
+					const Query = require('./query'); // require 'Query' here to prevent issue with circular dependency
+					var forbidden = [];
+					var sanitizeData = (data) => {
+						var matches = (role, condition) => !!condition && Query.match(data, condition);
+						var fields = query ? this.queryFields(collection, action, user, query) : this.fields(collection, action, user, (role, condition) => {
+							if (role === constants.ROLE.OWNER && (!user || action === constants.ACTION.CREATE)) {
+								return true;
+							}
+
+							return matches(role, condition);
+						});
+						var masks = action === constants.ACTION.READ ? this.masks(collection, user, matches) : {};
+
+						// system fields are set by the server, so they are never reported
+						Object.keys(data).forEach((field) => {
+							if (field.charAt(0) !== '_' && fields.indexOf(field) === -1 && forbidden.indexOf(field) === -1) {
+								forbidden.push(field);
+							}
+						});
+
+						var sanitizeData = {};
+						fields.forEach((field) => {
+							if (!data[field]) {
+								return;
+							}
+
+							var value = masks[field] ? this.mask(data[field], masks[field]) : data[field];
+							if (value !== undefined) {
+								sanitizeData[field] = value;
+							}
+						});
+						return sanitizeData;
+					};
+
+					if (data instanceof Array) {
+						data = data.map(sanitizeData);
+					} else {
+						data = sanitizeData(data);
+					}
+
+					if (collection.acl.strict && action !== constants.ACTION.READ && forbidden.length > 0) {
+						return reject(this.forbiddenFields(forbidden));
+					}
+
+					resolve(data);
+				});
+			});
+		});
+	}
+
+	/**
+	 * Prevent the specified user from updating fields through the update operators provided
+	 * for the specified collection.  Each operator's field paths are permitted by their top
+	 * level field.
+	 * @param {string} collectionName Name of the collection
+	 * @param {string} action Name of the action.
+	 * @param {object} user User being checked for access.  Typically the logged in user.
+	 * @param {object} operators Map of update operators to their field paths and values.
+	 * @param {object} query Query permitted for the action, used to determine ownership.
+	 * @param {string} [tenant] Tenant of the collection.
+	 * @returns {Promise}
+	 */
+	static sanitizeOperators (collectionName, action, user, operators, query, tenant) {
+		return this.permittedFields(collectionName, action, user, query, tenant).then((permitted) => {
+			var {fields, strict} = permitted;
+			if (!fields) {
+				return operators;
 			}
 
-			db.collection(constants.COLLECTION.COLLECTIONS).findOne({
-				'name': collectionName
-			}, (error, collection) => {
-				if (error) {
-					return reject(error);
-				}
+			var forbidden = [];
+			var sanitizedOperators = {};
+			Object.keys(operators).forEach((operator) => {
+				Object.keys(operators[operator]).forEach((path) => {
+					if (path.indexOf('$') !== -1 || fields.indexOf(path.split('.')[0]) === -1) {
+						if (path.charAt(0) !== '_' && forbidden.indexOf(path) === -1) {
+							forbidden.push(path);
+						}
 
-				if (!collection) {
-					return reject(constants.ERROR.NOT_FOUND);
-				}
+						return;
+					}
 
-				if (!collection.acl) {
-					return resolve(data);
-				}
+					sanitizedOperators[operator] = sanitizedOperators[operator] || {};
+					sanitizedOperators[operator][path] = operators[operator][path];
+				});
+			});
+
+			if (strict && forbidden.length > 0) {
+				return Promise.reject(this.forbiddenFields(forbidden));
+			}
+
+			return sanitizedOperators;
+		});
+	}
 
-				var roles;
-				if (collection.acl[action] instanceof Array) {
-					roles = collection.acl[action];
-				} else {
-					roles = Object.keys(collection.acl[action]);
+	/**
+	 * Retrieves the fields the specified user may access for the specified collection and action
+	 * across all documents matching a permitted query.
+	 * @param {string} collectionName Name of the collection
+	 * @param {string} action Name of the action.
+	 * @param {object} user User being checked for access.  Typically the logged in user.
+	 * @param {object} query Query permitted for the action, used to determine the rules which apply.
+	 * @param {string} [tenant] Tenant of the collection.
+	 * @returns {Promise} Resolves with the "fields", an array of field names or null when the collection
+	 * has no ACL, and whether writes with other fields are rejected as the ACL is "strict".
+	 */
+	static permittedFields (collectionName, action, user, query, tenant) {
+		return Role.resolveUser(user, tenant).then((user) => {
+			return new Promise((resolve, reject) => {
+				if (this.actions.indexOf(action) === -1) {
+					return reject(constants.ERROR.INVALID_ACTION);
 				}
 
-				var fields = [];
-				roles.forEach((role) => {
-					var userRoles = !user || !user.roles ? [] : user.roles;
-					if (userRoles.indexOf(role) === -1 && role !== constants.ROLE.PUBLIC && role !== constants.ROLE.OWNER) {
-						return;
+				Tenant.db(tenant).collection(constants.COLLECTION.COLLECTIONS).findOne({
+					'name': collectionName
+				}, (error, collection) => {
+					if (error) {
+						return reject(error);
 					}
 
-					if (role === constants.ROLE.OWNER && user && data._createdBy !== user._id.toString()) {
-						return;
+					if (!collection) {
+						return reject(constants.ERROR.NOT_FOUND);
 					}
 
-					collection.acl[action][role].forEach((field) => {
-						if (fields.indexOf(field) === -1) {
-							fields.push(field);
-						}
-					});
+					if (!collection.acl) {
+						return resolve({'fields': null, 'strict': false});
+					}
+
+					query = query || {};
+					var fields = this.queryFields(collection, action, user, query);
+
+					// masked fields can not be queried or projected, as that would reveal their values
+					if (action === constants.ACTION.READ) {
+						fields = _.difference(fields, Object.keys(this.masks(collection, user, (role, condition) => {
+							return this.restricts(query, condition);
+						})));
+					}
+
+					resolve({fields, 'strict': !!collection.acl.strict});
 				});
+			});
+		});
+	}
 
-				function sanitizeData (data) {
-					var sanitizeData = {};
-					fields.forEach((field) => {
-						if (!data[field]) {
-							return;
-						}
+	/**
+	 * Determines the fields the specified user may access for the specified action across all
+	 * documents matching a permitted query.  The fields of a rule apply when the query is restricted
+	 * to the documents matching it, and documents matching one of several rules only have the fields
+	 * common to those rules.
+	 * @private
+	 * @param {object} collection Collection document containing the ACL.
+	 * @param {string} action Name of the action.
+	 * @param {object} user User being checked for access.  Typically the logged in user.
+	 * @param {object} query Query permitted for the action.
+	 * @returns {string[]} Array of field names.
+	 */
+	static queryFields (collection, action, user, query) {
+		var fields = this.fields(collection, action, user, (role, condition) => this.restricts(query, condition));
+		var rules = collection.acl[action] instanceof Array ? [] : Object.keys(collection.acl[action]).filter((role) => {
+			return this.isRule(collection, role);
+		});
 
-						sanitizeData[field] = data[field];
-					});
-					return sanitizeData;
+		this.alternatives(query).forEach((alternatives) => {
+			var common = alternatives.map((alternative) => {
+				var role = _.find(rules, (role) => _.isEqual(this.ruleCondition(collection, role, user), alternative));
+				return role ? collection.acl[action][role] : undefined;
+			});
+
+			if (common.length > 0 && common.every((fields) => fields !== undefined)) {
+				fields = _.union(fields, _.intersection.apply(_, common));
+			}
+		});
+
+		return fields;
+	}
+
+	/**
+	 * Determines whether a query is restricted to the documents matching a condition, directly or
+	 * through "$and" as restricted by permit.
+	 * @private
+	 * @param {object} query Query permitted for the action.
+	 * @param {object} [condition] Condition of a rule.
+	 * @returns {boolean}
+	 */
+	static restricts (query, condition) {
+		if (!condition || !_.isPlainObject(query)) {
+			return false;
+		}
+
+		if (Object.keys(condition).every((key) => _.isEqual(query[key], condition[key]))) {
+			return true;
+		}
+
+		return query.$and instanceof Array && query.$and.some((part) => this.restricts(part, condition));
+	}
+
+	/**
+	 * Retrieves the "$or" alternatives a query is restricted to, directly or through "$and".
+	 * @private
+	 * @param {object} query Query permitted for the action.
+	 * @returns {object[][]} Array of arrays of alternatives.
+	 */
+	static alternatives (query) {
+		if (!_.isPlainObject(query)) {
+			return [];
+		}
+
+		var alternatives = query.$or instanceof Array ? [query.$or] : [];
+		(query.$and instanceof Array ? query.$and : []).forEach((part) => {
+			alternatives = alternatives.concat(this.alternatives(part));
+		});
+
+		return alternatives;
+	}
+
+	/**
+	 * Determines the fields the specified user may access for the specified action.
+	 * @private
+	 * @param {object} collection Collection document containing the ACL.
+	 * @param {string} action Name of the action.
+	 * @param {object} user User being checked for access.  Typically the logged in user.
+	 * @param {function} applies Determines whether the fields of a rule apply, called with the
+	 * name and condition of the rule.
+	 * @returns {string[]} Array of field names.
+	 */
+	static fields (collection, action, user, applies) {
+		var roles;
+		if (collection.acl[action] instanceof Array) {
+			roles = collection.acl[action];
+		} else {
+			roles = Object.keys(collection.acl[action]);
+		}
+
+		var fields = [];
+		roles.forEach((role) => {
+			var userRoles = !user || !user.roles ? [] : user.roles;
+			if (this.isRule(collection, role)) {
+				if (!applies(role, this.ruleCondition(collection, role, user))) {
+					return;
 				}
+			} else if (userRoles.indexOf(role) === -1 && role !== constants.ROLE.PUBLIC) {
+				return;
+			}
 
-				if (data instanceof Array) {
-					data = data.map(sanitizeData);
-				} else {
-					data = sanitizeData(data);
+			collection.acl[action][role].forEach((field) => {
+				if (fields.indexOf(field) === -1) {
+					fields.push(field);
 				}
+			});
+		});
+
+		return fields;
+	}
 
-				resolve(data);
+	/**
+	 * Determines whether a name in the ACL of a collection refers to a rule rather than a role.
+	 * @private
+	 * @param {object} collection Collection document containing the ACL.
+	 * @param {string} name Name in the ACL.
+	 * @returns {boolean}
+	 */
+	static isRule (collection, name) {
+		return name === constants.ROLE.OWNER || !!collection.acl.rules && _.isPlainObject(collection.acl.rules[name]);
+	}
+
+	/**
+	 * Compiles a rule into the condition documents must match for a user.
+	 * @private
+	 * @param {object} collection Collection document containing the ACL.
+	 * @param {string} name Name of the rule.
+	 * @param {object} [user] User the rule is compiled for.
+	 * @returns {object|undefined} Condition or undefined when the rule cannot match for the user.
+	 */
+	static ruleCondition (collection, name, user) {
+		if (name === constants.ROLE.OWNER) {
+			return user ? {'_createdBy': user._id.toString()} : undefined;
+		}
+
+		var rule = collection.acl.rules[name];
+		var conditions = [];
+		var valid = true;
+
+		if (rule.members) {
+			valid = !!user;
+			if (valid) {
+				conditions.push({[rule.members]: {'$in': [user._id.toString(), db.ObjectId(user._id.toString())]}});
+			}
+		}
+
+		Object.keys(rule.user || {}).forEach((field) => {
+			var value = _.get(user, rule.user[field]);
+			valid = valid && value !== undefined;
+			conditions.push({[field]: value instanceof Array ? {'$in': value} : value});
+		});
+
+		if (rule.match) {
+			var replace = (value) => {
+				if (typeof value === 'string' && value.indexOf('$user.') === 0) {
+					value = _.get(user, value.substr('$user.'.length));
+					valid = valid && value !== undefined;
+					return value;
+				}
+
+				if (value instanceof Array) {
+					return value.map(replace);
+				}
+
+				return _.isPlainObject(value) ? _.mapValues(value, replace) : value;
+			};
+
+			conditions.push(replace(rule.match));
+		}
+
+		// a rule without conditions would match every document
+		if (!valid || conditions.length === 0) {
+			return undefined;
+		}
+
+		return conditions.length === 1 ? conditions[0] : {'$and': conditions};
+	}
+
+	/**
+	 * Restricts a query to the documents matching at least one of a set of conditions.
+	 * @private
+	 * @param {object} query Query being restricted.
+	 * @param {object[]} conditions Conditions of the rules.
+	 * @returns {object} Restricted query.
+	 */
+	static restrict (query, conditions) {
+		var restriction = conditions.length === 1 ? conditions[0] : {'$or': conditions};
+		var overlaps = Object.keys(restriction).some((key) => query[key] !== undefined);
+		return overlaps ? {'$and': [query, restriction]} : Object.assign({}, query, restriction);
+	}
+
+	/**
+	 * Creates the error of a write with forbidden fields.
+	 * @private
+	 * @param {string[]} fields Forbidden fields.
+	 * @returns {object}
+	 */
+	static forbiddenFields (fields) {
+		return {
+			'message': constants.ERROR.FORBIDDEN,
+			'fields': fields
+		};
+	}
+
+	/**
+	 * Retrieves the masks which apply to the fields a user reads.
+	 * @private
+	 * @param {object} collection Collection document containing the ACL.
+	 * @param {object} user User being checked for access.  Typically the logged in user.
+	 * @param {function} applies Determines whether a rule applies, called with the name and
+	 * condition of the rule.
+	 * @returns {object} Map of field names to masks.
+	 */
+	static masks (collection, user, applies) {
+		var masks = {};
+		var userRoles = !user || !user.roles ? [] : user.roles;
+		Object.keys(collection.acl.masks || {}).forEach((field) => {
+			var mask = collection.acl.masks[field];
+			var except = mask.except instanceof Array ? mask.except : [];
+			var exempt = except.some((role) => {
+				if (this.isRule(collection, role)) {
+					return applies(role, this.ruleCondition(collection, role, user));
+				}
+
+				return userRoles.indexOf(role) !== -1;
 			});
+
+			if (!exempt) {
+				masks[field] = mask;
+			}
 		});
+
+		return masks;
+	}
+
+	/**
+	 * Masks a value, e.g. {"last": 4} masks "5551234567" as "******4567".
+	 * @private
+	 * @param {*} value Value being masked.
+	 * @param {object} mask Number of "first" and "last" characters shown, and the "character"
+	 * replacing the others, defaults to "*".
+	 * @returns {string|undefined} Masked value or undefined when the value is not a string or number.
+	 */
+	static mask (value, mask) {
+		if (typeof value !== 'string' && typeof value !== 'number') {
+			return undefined;
+		}
+
+		value = String(value);
+		var first = Math.max(parseInt(mask.first, 10) || 0, 0);
+		var last = Math.max(parseInt(mask.last, 10) || 0, 0);
+
+		// values too short to hide anything are masked entirely
+		if (first + last >= value.length) {
+			first = last = 0;
+		}
+
+		return value.substr(0, first) + _.repeat(mask.character || '*', value.length - first - last) + value.substr(value.length - last);
 	}
 };
\ No newline at end of file
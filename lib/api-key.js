@@ -0,0 +1,187 @@
+'use strict';
+
+const crypto = require('crypto');
+const db = require('./db');
+const Tenant = require('./tenant');
+const constants = require('./constants');
+
+/**
+ * Long-lived keys for server-to-server callers.  A key is bound either to a user, authenticating
+ * as that user, or to a role, authenticating as a user with only that role.  Keys are stored hashed
+ * in the server's database along with the tenant they belong to, so the key itself is only
+ * available when it is created.
+ * @type {ApiKey}
+ */
+module.exports = class ApiKey {
+	/**
+	 * Prefix of keys, telling them apart from access tokens.
+	 * @returns {string}
+	 */
+	static get prefix () {
+		return 'brk_';
+	}
+
+	/**
+	 * Fields of keys which are returned, leaving out the hash of the key.
+	 * @private
+	 * @returns {object}
+	 */
+	static get projection () {
+		return {
+			'name': 1,
+			'hint': 1,
+			'user': 1,
+			'role': 1,
+			'lastUsedAt': 1,
+			'_created': 1,
+			'_createdBy': 1
+		};
+	}
+
+	/**
+	 * Determines whether a bearer token is a key.
+	 * @param {string} token Bearer token.
+	 * @returns {boolean}
+	 */
+	static isKey (token) {
+		return typeof token === 'string' && token.indexOf(this.prefix) === 0;
+	}
+
+	/**
+	 * Creates a key.
+	 * @param {object} key "name" of the key and either the id of the "user" or the name of the "role" it is bound to.
+	 * @param {object} creator User creating the key.
+	 * @param {string} [tenant] Tenant of the key.
+	 * @returns {Promise} Resolves with the stored key and the "key" itself.
+	 */
+	static create (key, creator, tenant) {
+		var secret = this.prefix + crypto.randomBytes(24).toString('hex');
+		var document = {
+			'name': key.name,
+			'key': this.hash(secret),
+			'hint': secret.substr(-4),
+			'user': key.user ? db.ObjectId(key.user.toString()) : null,
+			'role': key.user ? null : key.role,
+			'tenant': tenant || null,
+			'lastUsedAt': null,
+			'_created': new Date(),
+			'_createdBy': creator && creator._id ? creator._id.toString() : 'anonymous'
+		};
+
+		return new Promise((resolve, reject) => {
+			db.collection(constants.COLLECTION.API_KEYS).insert(document, (error, document) => {
+				if (error) {
+					return reject(error);
+				}
+
+				var created = {'_id': document._id, 'key': secret};
+				Object.keys(this.projection).forEach((field) => {
+					created[field] = document[field];
+				});
+
+				resolve(created);
+			});
+		});
+	}
+
+	/**
+	 * Retrieves keys without their hash, most recent first.
+	 * @param {object} query Query of the keys, such as the "user" they are bound to.
+	 * @param {string} [tenant] Tenant of the keys.
+	 * @returns {Promise}
+	 */
+	static find (query, tenant) {
+		return new Promise((resolve, reject) => {
+			db.collection(constants.COLLECTION.API_KEYS).find(Object.assign({}, query, {
+				'tenant': tenant || null
+			}), this.projection).sort({'_created': -1}, (error, keys) => {
+				if (error) {
+					return reject(error);
+				}
+
+				resolve(keys);
+			});
+		});
+	}
+
+	/**
+	 * Revokes a key.
+	 * @param {object} query Query of the key, such as its "_id" and the "user" it is bound to.
+	 * @param {string} [tenant] Tenant of the key.
+	 * @returns {Promise} Resolves with true or rejects when the key is not found.
+	 */
+	static revoke (query, tenant) {
+		return new Promise((resolve, reject) => {
+			db.collection(constants.COLLECTION.API_KEYS).remove(Object.assign({}, query, {
+				'tenant': tenant || null
+			}), true, (error, result) => {
+				if (error) {
+					return reject(error);
+				}
+
+				if (!result || result.n === 0) {
+					return reject(constants.ERROR.NOT_FOUND);
+				}
+
+				resolve(true);
+			});
+		});
+	}
+
+	/**
+	 * Authenticates a key.
+	 * @param {string} secret Key being authenticated.
+	 * @returns {Promise} Resolves with the user the key authenticates as, with its "tenant" set,
+	 * or null when the key is invalid or its user no longer exists.
+	 */
+	static authenticate (secret) {
+		return new Promise((resolve, reject) => {
+			db.collection(constants.COLLECTION.API_KEYS).findAndModify({
+				'query': {'key': this.hash(secret)},
+				'update': {'$set': {'lastUsedAt': new Date()}}
+			}, (error, key) => {
+				if (error) {
+					return reject(error);
+				}
+
+				if (!key) {
+					return resolve(null);
+				}
+
+				var tenant = key.tenant || undefined;
+				if (!key.user) {
+					// keys bound to a role authenticate as a user with only that role
+					return resolve({
+						'_id': key._id,
+						'roles': [key.role],
+						'apiKey': key._id,
+						'tenant': tenant
+					});
+				}
+
+				Tenant.db(tenant).collection(constants.COLLECTION.USERS).findOne({'_id': key.user}, (error, user) => {
+					if (error) {
+						return reject(error);
+					}
+
+					if (user) {
+						user.tenant = tenant;
+						user.apiKey = key._id;
+					}
+
+					resolve(user);
+				});
+			});
+		});
+	}
+
+	/**
+	 * Hashes a key.
+	 * @private
+	 * @param {string} secret Key being hashed.
+	 * @returns {string}
+	 */
+	static hash (secret) {
+		return crypto.createHash('sha256').update(String(secret)).digest('hex');
+	}
+};
\ No newline at end of file
@@ -0,0 +1,184 @@
+'use strict';
+
+const Property = require('./property');
+const Tenant = require('./tenant');
+const constants = require('./constants');
+
+/**
+ * Append-only log of data access and account changes.  Entries record who performed an action,
+ * from which session and address, on which documents, and whether it was allowed.
+ * @type {Audit}
+ */
+module.exports = class Audit {
+	/**
+	 * Outcomes of audited actions.
+	 * @returns {object}
+	 */
+	static get outcomes () {
+		return {
+			'ALLOWED': 'allowed',
+			'FORBIDDEN': 'forbidden',
+			'ERROR': 'error'
+		};
+	}
+
+	/**
+	 * Fields of entries in the order they are exported.
+	 * @private
+	 * @returns {string[]}
+	 */
+	static get fields () {
+		return ['_created', 'user', 'session', 'ip', 'action', 'collection', 'documentIds', 'fields', 'outcome', 'error'];
+	}
+
+	/**
+	 * Records an entry.  Failing to record an entry never fails the action being audited, so the
+	 * returned promise always resolves.
+	 * @param {object} user User performing the action.
+	 * @param {object} [context] "tenant", "session" id, and "ip" address of the request.
+	 * @param {object} entry "action", "collection", "documentIds", "fields", "outcome", and "error" of the entry.
+	 * @returns {Promise}
+	 */
+	static log (user, context, entry) {
+		context = context || {};
+
+		return new Promise((resolve) => {
+			Tenant.db(context.tenant).collection(constants.COLLECTION.AUDIT).insert({
+				'user': user && user._id ? user._id.toString() : 'anonymous',
+				'session': context.session,
+				'ip': context.ip,
+				'action': entry.action,
+				'collection': entry.collection,
+				'documentIds': (entry.documentIds || []).map((id) => id.toString()),
+				'fields': entry.fields || [],
+				'outcome': entry.outcome,
+				'error': entry.error && entry.error.stack ? entry.error.message : entry.error,
+				'_created': new Date()
+			}, (error) => {
+				if (error) {
+					console.error(error);
+				}
+
+				resolve();
+			});
+		});
+	}
+
+	/**
+	 * Retrieves entries, most recent first.
+	 * @param {object} [filters] Optional "user", "collection", "documentId", "action", "outcome",
+	 * "from", "to", and "limit" of the entries.
+	 * @param {string} [tenant] Tenant of the entries.
+	 * @returns {Promise}
+	 */
+	static find (filters, tenant) {
+		return new Promise((resolve, reject) => {
+			var query = this.filterQuery(filters || {});
+			if (!query) {
+				return reject({
+					'message': constants.ERROR.INVALID_QUERY,
+					'errors': ['"from" and "to" must be dates']
+				});
+			}
+
+			var limit = Math.min(parseInt(filters && filters.limit, 10) || 1000, 10000);
+			Tenant.db(tenant).collection(constants.COLLECTION.AUDIT).find(query).sort({'_created': -1}).limit(limit, (error, entries) => {
+				if (error) {
+					return reject(error);
+				}
+
+				resolve(entries);
+			});
+		});
+	}
+
+	/**
+	 * Permanently deletes entries older than the retention period, in days, of the
+	 * "backrest.audit.retention" property.
+	 * @param {string} [tenant] Tenant of the entries.
+	 * @returns {Promise}
+	 */
+	static purge (tenant) {
+		return Property.getValue('backrest.audit.retention', 365, tenant).then((retention) => {
+			return new Promise((resolve, reject) => {
+				var before = new Date();
+				before.setDate(before.getDate() - retention);
+
+				Tenant.db(tenant).collection(constants.COLLECTION.AUDIT).remove({
+					'_created': {
+						'$lt': before
+					}
+				}, (error) => {
+					if (error) {
+						return reject(error);
+					}
+
+					resolve();
+				});
+			});
+		});
+	}
+
+	/**
+	 * Serializes entries as CSV with a header row.
+	 * @param {object[]} entries Entries being serialized.
+	 * @returns {string}
+	 */
+	static toCsv (entries) {
+		var escape = (value) => {
+			if (value === undefined || value === null) {
+				return '';
+			}
+
+			value = value instanceof Array ? value.join(';') : value instanceof Date ? value.toISOString() : String(value);
+
+			// values which spreadsheets would evaluate as formulas are prefixed to be read as text
+			if (/^[=+\-@\t\r]/.test(value)) {
+				value = '\'' + value;
+			}
+
+			return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+		};
+
+		return [this.fields.join(',')].concat(entries.map((entry) => {
+			return this.fields.map((field) => escape(entry[field])).join(',');
+		})).join('\r\n') + '\r\n';
+	}
+
+	/**
+	 * Converts filters into a query of entries.
+	 * @private
+	 * @param {object} filters Filters of the entries.
+	 * @returns {object|undefined} Query or undefined when a date is not valid.
+	 */
+	static filterQuery (filters) {
+		var query = {};
+		['user', 'collection', 'action', 'outcome'].forEach((field) => {
+			if (filters[field]) {
+				query[field] = String(filters[field]);
+			}
+		});
+
+		if (filters.documentId) {
+			query.documentIds = String(filters.documentId);
+		}
+
+		var valid = [['from', '$gte'], ['to', '$lte']].every((range) => {
+			var [name, operator] = range;
+			if (!filters[name]) {
+				return true;
+			}
+
+			var date = new Date(filters[name]);
+			if (isNaN(date.getTime())) {
+				return false;
+			}
+
+			query._created = query._created || {};
+			query._created[operator] = date;
+			return true;
+		});
+
+		return valid ? query : undefined;
+	}
+};
\ No newline at end of file
@@ -0,0 +1,41 @@
+'use strict';
+
+const passport = require('passport');
+const AccessToken = require('./access-token');
+const ApiKey = require('./api-key');
+
+/**
+ * Passport strategy authenticating requests with an "Authorization: Bearer" header holding an
+ * access token or an API key.  Requests without the header are passed on to other strategies,
+ * such as the session.
+ * @type {BearerStrategy}
+ */
+module.exports = class BearerStrategy extends passport.Strategy {
+	constructor () {
+		super();
+		this.name = 'bearer';
+	}
+
+	/**
+	 * Authenticates a request.
+	 * @param {object} request Request being authenticated.
+	 */
+	authenticate (request) {
+		var match = /^Bearer\s+(\S+)$/i.exec(request.get('Authorization') || '');
+		if (!match) {
+			return this.pass();
+		}
+
+		var token = match[1];
+		var user = ApiKey.isKey(token) ? ApiKey.authenticate(token) : AccessToken.verify(token);
+		user.then((user) => {
+			if (!user) {
+				return this.fail('Bearer error="invalid_token"');
+			}
+
+			this.success(user);
+		}, (error) => {
+			this.error(error);
+		});
+	}
+};
\ No newline at end of file
@@ -1,11 +1,21 @@
 'use strict';
 
 const _ = require('lodash');
+const async = require('async');
 const jsonfile = require('jsonfile');
 const clone = require('clone');
 const db = require('./db');
 const Acl = require('./acl');
+const Audit = require('./audit');
 const Event = require('./event');
+const Feed = require('./feed');
+const Schema = require('./schema');
+const Property = require('./property');
+const Revision = require('./revision');
+const Role = require('./role');
+const Schedule = require('./schedule');
+const Tenant = require('./tenant');
+const Webhook = require('./webhook');
 const constants = require('./constants');
 const mongoify = require('mongoify');
 
@@ -14,22 +24,131 @@ const mongoify = require('mongoify');
  * @type {Collection}
  */
 module.exports = class Collection {
-	constructor (name, user) {
+	constructor (name, user, context) {
 		this.name = name;
 		this.user = user;
-		this.collection = db.collection(this.name);
+		this.context = context || {};
+		this.tenant = this.context.tenant;
+		this.db = Tenant.db(this.tenant);
+		this.collection = this.db.collection(this.name);
+		this.isTrash = false;
+		this.hasSideEffects = true;
+		this.firedEvents = [];
 		jsonfile.spaces = 2;
 	}
 
+	/**
+	 * Permanently deletes documents that were soft deleted longer ago than the retention period,
+	 * in days, of the "backrest.softDelete.retention" property.
+	 * @param {string} [tenant] Tenant of the collections.
+	 * @returns {Promise}
+	 */
+	static purgeTrash (tenant) {
+		return Property.getValue('backrest.softDelete.retention', 30, tenant).then((retention) => {
+			return new Promise((resolve, reject) => {
+				var before = new Date();
+				before.setDate(before.getDate() - retention);
+
+				var database = Tenant.db(tenant);
+				database.collection(constants.COLLECTION.COLLECTIONS).find({
+					'softDelete': true
+				}, (error, collections) => {
+					if (error) {
+						return reject(error);
+					}
+
+					async.each(collections, (collection, done) => {
+						database.collection(collection.name).remove({
+							'_deleted': {
+								'$lt': before
+							}
+						}, done);
+					}, (error) => {
+						if (error) {
+							return reject(error);
+						}
+
+						resolve();
+					});
+				});
+			});
+		});
+	}
+
+	/**
+	 * A set of update operators allowed when patching documents.
+	 * @private
+	 * @returns {string[]} Array of update operators.
+	 */
+	get updateOperators () {
+		return ['$set', '$unset', '$inc', '$push', '$addToSet', '$pull'];
+	}
+
+	/**
+	 * A set of actions allowed in bulk operations.
+	 * @private
+	 * @returns {string[]} Array of bulk actions.
+	 */
+	get bulkActions () {
+		return [constants.ACTION.CREATE, constants.ACTION.UPDATE, 'patch', constants.ACTION.DELETE];
+	}
+
+	/**
+	 * A set of stages allowed in aggregation pipelines.
+	 * @private
+	 * @returns {string[]} Array of aggregation stages.
+	 */
+	get aggregationStages () {
+		return ['$match', '$group', '$sort', '$project', '$limit', '$unwind', '$lookup'];
+	}
+
+	/**
+	 * A set of operators never allowed in aggregation pipelines as they execute JavaScript.
+	 * @private
+	 * @returns {string[]} Array of operators.
+	 */
+	get aggregationBlacklist () {
+		return ['$where', '$function', '$accumulator'];
+	}
+
+	/**
+	 * Creates a copy of the collection scoped to documents in the trash.  Documents are moved to
+	 * the trash when deleted from collections with "softDelete" enabled and deleting them from
+	 * the trash removes them permanently.
+	 * @returns {Collection}
+	 */
+	inTrash () {
+		var trash = new Collection(this.name, this.user, this.context);
+		trash.isTrash = true;
+		trash.hasSideEffects = this.hasSideEffects;
+		trash.firedEvents = this.firedEvents;
+		return trash;
+	}
+
+	/**
+	 * Creates a copy of the collection which neither triggers events and webhooks nor publishes
+	 * to the change feed or records in the audit log, such as for reads of dry runs.  ACLs still apply.
+	 * @returns {Collection}
+	 */
+	withoutSideEffects () {
+		var collection = new Collection(this.name, this.user, this.context);
+		collection.isTrash = this.isTrash;
+		collection.hasSideEffects = false;
+		collection.firedEvents = this.firedEvents;
+		return collection;
+	}
+
 	/**
 	 * Inserts a new document.
 	 * @param {object} data Data of new document.
+	 * @param {ObjectId} [id] Id of the new document, generated when not provided.
 	 * @returns {Promise}
 	 */
-	create (data) {
+	create (data, id) {
 		return new Promise((resolve, reject) => {
 			this.preCommand(constants.ACTION.CREATE, constants.EVENT.BEFORE_CREATE, null, data).then((result) => {
 				var {data} = result;
+				var fields = Object.keys(data);
 
 				if (this.user && this.user._id) {
 					data._createdBy = this.user._id.toString();
@@ -40,6 +159,10 @@ module.exports = class Collection {
 				data._modified = new Date();
 				delete data._id;
 
+				if (id) {
+					data._id = id;
+				}
+
 				this.collection.save(data, (error, data) => {
 					if (error) {
 						return reject(error);
@@ -47,8 +170,8 @@ module.exports = class Collection {
 
 					// TODO: move user collection logic to events once they're updated
 					if (this.name !== constants.COLLECTION.USERS || this.user) {
-						return Acl.sanitize(this.name, constants.ACTION.READ, this.user, data).then(() => {
-							this.postCommand(constants.ACTION.READ, constants.EVENT.AFTER_CREATE, data).then(resolve, reject);
+						return Acl.sanitize(this.name, constants.ACTION.READ, this.user, data, this.tenant).then(() => {
+							this.postCommand(constants.ACTION.READ, constants.EVENT.AFTER_CREATE, data, fields).then(resolve, reject);
 							this.writeToFile(data);
 						}, reject);
 					}
@@ -66,7 +189,7 @@ module.exports = class Collection {
 						},
 						'new': true
 					}, (error, data) => {
-						this.postCommand(constants.ACTION.READ, constants.EVENT.AFTER_CREATE, data).then(resolve, reject);
+						this.postCommand(constants.ACTION.READ, constants.EVENT.AFTER_CREATE, data, fields).then(resolve, reject);
 						this.writeToFile(data);
 					});
 				});
@@ -75,46 +198,101 @@ module.exports = class Collection {
 	}
 
 	/**
-	 * Retrieves multiple documents.
+	 * Retrieves multiple documents.  Documents are additionally sorted by _id so that the "next"
+	 * cursor of a full page can be used to retrieve the documents following it.  No cursor is
+	 * provided when the user cannot read every field of the sort.
 	 * @param {query} [query] Query to filter the documents.
 	 * @param {object} [sort] Sorts the documents being returned.
 	 * @param {number} [limit] Limit the number of documents being returned.
 	 * @param {number} [skip] Skip the provided number of documents.
+	 * @param {string} [fields] Comma separated list of fields to return.
+	 * @param {string} [cursor] Cursor of a previous page, only documents following it are returned.
+	 * @param {boolean} [count] Count the total number of documents, defaults to true.
 	 * @returns {Promise}
 	 */
-	find (query, sort, limit, skip, fields) {
+	find (query, sort, limit, skip, fields, cursor, count) {
 		return new Promise((resolve, reject) => {
+			sort = this.cursorSort(sort);
+			limit = limit || 100;
+
+			var after;
+			if (cursor) {
+				after = this.decodeCursor(sort, cursor);
+				if (!after) {
+					return reject(constants.ERROR.INVALID_CURSOR);
+				}
+			}
+
 			this.preCommand(constants.ACTION.READ, constants.EVENT.BEFORE_READ, query).then((result) => {
 				var {query} = result;
-				// get the total
-				this.collection.count(query, (error, total) => {
+
+				// get the total unless it isn't needed
+				var countTotal = (done) => {
+					if (count === false) {
+						return done(null);
+					}
+
+					this.collection.count(query, done);
+				};
+
+				countTotal((error, total) => {
 					if (error) {
 						return reject(error);
 					}
 
+					// sort fields are projected to build the cursor and removed afterwards
 					let projection;
+					let cursorFields = [];
 					if (fields && fields.length > 0) {
 						projection = {};
 						fields.split(',').forEach((field) => {
 							projection[field] = true;
 						});
+
+						Object.keys(sort).forEach((field) => {
+							if (field !== '_id' && !Object.keys(projection).some((projected) => {
+								return field === projected || field.indexOf(projected + '.') === 0 || projected.indexOf(field + '.') === 0;
+							})) {
+								projection[field] = true;
+								cursorFields.push(field);
+							}
+						});
 					}
 
 					// get the data
-					this.collection.find(query, projection)
-						.sort(sort || {_created: -1})
-						.limit(limit || 100)
+					this.collection.find(after ? {'$and': [query, this.keysetQuery(sort, after)]} : query, projection)
+						.sort(sort)
+						.limit(limit)
 						.skip(skip || 0, (error, data) => {
 							if (error) {
 								return reject(error);
 							}
 
-							// resolve sanitized data and total
-							this.postCommand(constants.ACTION.READ, constants.EVENT.AFTER_READ, data).then((data) => {
-								resolve({
-									'data': data,
-									'total': total
+							var next = data.length === limit ? this.encodeCursor(sort, data[data.length - 1]) : null;
+							data.forEach((document) => {
+								cursorFields.forEach((field) => {
+									delete document[field];
 								});
+							});
+
+							// cursors hold sort values, so they are only provided when the user can read them
+							var isReadable = next ? this.isReadableSort(sort, query) : Promise.resolve(true);
+
+							// resolve sanitized data, total and next cursor
+							isReadable.then((isReadable) => {
+								next = isReadable ? next : null;
+								return this.postCommand(constants.ACTION.READ, constants.EVENT.AFTER_READ, data);
+							}).then((data) => {
+								var result = {
+									'data': data,
+									'next': next
+								};
+
+								if (count !== false) {
+									result.total = total;
+								}
+
+								resolve(result);
 							}, reject);
 						});
 				});
@@ -122,6 +300,51 @@ module.exports = class Collection {
 		});
 	}
 
+	/**
+	 * Aggregates documents.  The pipeline is restricted to the documents and fields the user can
+	 * read, and $lookup stages are restricted to the documents and fields the user can read in the
+	 * collection being joined.  Only the basic form of $lookup is allowed, which is rewritten into
+	 * its pipeline form and requires MongoDB 3.6 or later.
+	 * @param {object[]} pipeline Aggregation stages, e.g. [{"$group": {"_id": "$type", "count": {"$sum": 1}}}].
+	 * @returns {Promise}
+	 */
+	aggregate (pipeline) {
+		return new Promise((resolve, reject) => {
+			if (!(pipeline instanceof Array) || !pipeline.every((stage) => this.isAggregationStage(stage))) {
+				return reject(constants.ERROR.INVALID_PIPELINE);
+			}
+
+			this.preCommand(constants.ACTION.READ, constants.EVENT.BEFORE_READ, {}).then((result) => {
+				var {query} = result;
+				return Promise.all([
+					this.permittedProjection(this.name, query),
+					Promise.all(pipeline.map((stage) => this.permittedStage(stage)))
+				]).then((results) => {
+					var [projection, stages] = results;
+
+					// restrict the documents and fields before any stage provided
+					var permittedPipeline = [{'$match': query}];
+					if (projection) {
+						permittedPipeline.push({'$project': projection});
+					}
+
+					this.collection.aggregate(permittedPipeline.concat(stages), (error, data) => {
+						if (error) {
+							return reject(error);
+						}
+
+						// aggregated results are not documents, so only the access is recorded
+						this.audit(constants.EVENT.AFTER_READ, {'outcome': Audit.outcomes.ALLOWED});
+
+						resolve({
+							'data': data
+						});
+					});
+				});
+			}).catch(reject);
+		});
+	}
+
 	/**
 	 * Retrieves a single document
 	 * @param {object} [query] Query to filter the documents.
@@ -147,37 +370,168 @@ module.exports = class Collection {
 		});
 	}
 
+	/**
+	 * Expands references of documents into the documents they reference.  Each path must lead to
+	 * a field defined as a "Ref", or an array of them, and may continue into the referenced collection, e.g.
+	 * "comments.author.organization".  Referenced documents are read with the ACLs and events of
+	 * their own collection; references the user cannot read are left as they are.
+	 * @param {object|object[]} data Document or documents to expand.
+	 * @param {string|string[]} [paths] Comma separated list or array of paths to expand.
+	 * @returns {Promise}
+	 */
+	expand (data, paths) {
+		if (typeof paths === 'string') {
+			paths = paths.split(',');
+		}
+
+		paths = (paths || []).map((path) => String(path).trim()).filter((path) => path.length > 0);
+		if (!data || paths.length === 0) {
+			return Promise.resolve(data);
+		}
+
+		return Schema.getDefinition(this.name, this.tenant).then((definition) => {
+			// group paths by the reference they expand
+			var references = {};
+			var invalid = paths.some((path) => {
+				var parts = path.split('.');
+				for (let i = 1; i <= parts.length; i++) {
+					let field = definition ? Schema.getField(definition, parts.slice(0, i).join('.')) : undefined;
+
+					// arrays of references are expanded item by item
+					if (field && field.type === 'array' && field.items) {
+						field = field.items;
+					}
+
+					if (field && field.type === 'ref' && field.collection) {
+						let referencePath = parts.slice(0, i).join('.');
+						references[referencePath] = references[referencePath] || {
+							'collection': field.collection,
+							'paths': []
+						};
+
+						if (i < parts.length) {
+							references[referencePath].paths.push(parts.slice(i).join('.'));
+						}
+						return false;
+					}
+				}
+				return true;
+			});
+
+			if (invalid) {
+				return Promise.reject(constants.ERROR.INVALID_EXPAND);
+			}
+
+			var documents = data instanceof Array ? data : [data];
+			return Promise.all(Object.keys(references).map((referencePath) => {
+				var reference = references[referencePath];
+				var ids = {};
+				this.visitPath(documents, referencePath.split('.'), (parent, key) => {
+					var id = parent[key] && parent[key].toString();
+					if (id && /^[0-9a-fA-F]{24}$/.test(id)) {
+						ids[id] = db.ObjectId(id);
+					}
+				});
+
+				if (Object.keys(ids).length === 0) {
+					return undefined;
+				}
+
+				var collection = new Collection(reference.collection, this.user, this.context);
+				collection.hasSideEffects = this.hasSideEffects;
+				collection.firedEvents = this.firedEvents;
+				return collection.findByIds(Object.keys(ids).map((id) => ids[id])).then((referenced) => {
+					var referencedIds = Object.keys(referenced);
+					return collection.expand(referencedIds.map((id) => referenced[id]), reference.paths).then((expanded) => {
+						referencedIds.forEach((id, index) => {
+							referenced[id] = expanded[index];
+						});
+
+						this.visitPath(documents, referencePath.split('.'), (parent, key) => {
+							var id = parent[key] && parent[key].toString();
+							if (referenced[id]) {
+								parent[key] = referenced[id];
+							}
+						});
+					});
+				});
+			})).then(() => data);
+		});
+	}
+
 	/**
 	 * Update documents
 	 * @param {object} query Update documents matching the specified query.
 	 * @param {object} data Updated document data.
+	 * @param {Date[]} [modified] Only update when the document was last modified at one of these dates.
 	 * @returns {Promise}
 	 */
-	update (query, data) {
+	update (query, data, modified) {
 		return new Promise((resolve, reject) => {
 			this.preCommand(constants.ACTION.UPDATE, constants.EVENT.BEFORE_UPDATE, query, data).then((result) => {
 				var {query, data} = result;
+				var fields = Object.keys(data);
 				var document = clone(data);
 				document._modified = new Date();
 				document._modifiedBy = this.user ? this.user._id.toString() : 'anonymous';
 				delete document._id;
 
-				this.collection.findAndModify({
-					'query': query,
-					'update': {'$set': document},
-					'new': true
-				}, (error, data) => {
-					if (error) {
-						return reject(error);
+				this.modify(this.preconditionQuery(query, modified), {'$set': document}, constants.ACTION.UPDATE).then((data) => {
+					if (!data) {
+						return this.rejectNotFound(query, modified).catch(reject);
+					}
+
+					this.postCommand(constants.ACTION.READ, constants.EVENT.AFTER_UPDATE, data, fields).then(resolve, reject);
+					this.writeToFile(data);
+				}, reject);
+			}, reject);
+		});
+	}
+
+	/**
+	 * Patch documents with atomic update operators.
+	 * @param {object} query Patch documents matching the specified query.
+	 * @param {object} operators Map of update operators, e.g. {"$inc": {"count": 1}}.
+	 * @param {Date[]} [modified] Only patch when the document was last modified at one of these dates.
+	 * @returns {Promise}
+	 */
+	patch (query, operators, modified) {
+		return new Promise((resolve, reject) => {
+			if (!_.isPlainObject(operators) || Object.keys(operators).length === 0 || Object.keys(operators).some((operator) => {
+				return this.updateOperators.indexOf(operator) === -1 || !_.isPlainObject(operators[operator]);
+			})) {
+				return reject(constants.ERROR.INVALID_OPERATOR);
+			}
+
+			this.preCommand(constants.ACTION.UPDATE, constants.EVENT.BEFORE_UPDATE, query, operators, true).then((result) => {
+				var {query, data} = result;
+				var fields = _.uniq(_.flatMap(Object.keys(data), (operator) => Object.keys(data[operator])));
+				var update = clone(data);
+
+				// system fields are only set by the server
+				Object.keys(update).forEach((operator) => {
+					['_id', '_modified', '_modifiedBy'].forEach((field) => {
+						delete update[operator][field];
+					});
+
+					// Mongo rejects operators left without fields
+					if (Object.keys(update[operator]).length === 0) {
+						delete update[operator];
 					}
+				});
+
+				update.$set = update.$set || {};
+				update.$set._modified = new Date();
+				update.$set._modifiedBy = this.user ? this.user._id.toString() : 'anonymous';
 
+				this.modify(this.preconditionQuery(query, modified), update, constants.ACTION.UPDATE).then((data) => {
 					if (!data) {
-						return reject(constants.ERROR.NOT_FOUND);
+						return this.rejectNotFound(query, modified).catch(reject);
 					}
 
-					this.postCommand(constants.ACTION.READ, constants.EVENT.AFTER_UPDATE, data).then(resolve, reject);
+					this.postCommand(constants.ACTION.READ, constants.EVENT.AFTER_UPDATE, data, fields).then(resolve, reject);
 					this.writeToFile(data);
-				});
+				}, reject);
 			}, reject);
 		});
 	}
@@ -185,84 +539,896 @@ module.exports = class Collection {
 	/**
 	 * Delete documents
 	 * @param {object} query Delete documents matching the specified query.
+	 * @param {Date[]} [modified] Only delete when the document was last modified at one of these dates.
 	 * @returns {Promise}
 	 */
-	delete (query) {
+	delete (query, modified) {
 		return new Promise((resolve, reject) => {
 			this.preCommand(constants.ACTION.DELETE, constants.EVENT.BEFORE_DELETE, query).then((result) => {
 				var {query} = result;
-				this.collection.findOne(query, (error, data) => {
+				this.collection.findOne(this.preconditionQuery(query, modified), (error, data) => {
 					if (error) {
 						return reject(error);
 					}
 
+					if (!data) {
+						return this.rejectNotFound(query, modified).catch(reject);
+					}
+
+					this.getSettings().then((settings) => {
+						var remove = (done) => {
+							if (!settings.softDelete || this.isTrash) {
+								return this.collection.remove(this.preconditionQuery(query, modified), done);
+							}
+
+							this.collection.update(this.preconditionQuery(query, modified), {
+								'$set': {
+									'_deleted': new Date(),
+									'_deletedBy': this.user ? this.user._id.toString() : 'anonymous'
+								}
+							}, done);
+						};
+
+						remove((error) => {
+							if (error) {
+								return reject(error);
+							}
+
+							var saveRevision = settings.revisions ? Revision.save(this.name, this.user, data, constants.ACTION.DELETE, this.tenant) : Promise.resolve();
+							saveRevision.then(() => {
+								return this.postCommand(constants.ACTION.READ, constants.EVENT.AFTER_DELETE, data);
+							}).then(resolve, reject);
+						});
+					}, reject);
+				});
+			}, reject);
+		});
+	}
+
+	/**
+	 * Restore documents from the trash.
+	 * @param {object} query Restore documents in the trash matching the specified query.
+	 * @returns {Promise}
+	 */
+	restore (query) {
+		return new Promise((resolve, reject) => {
+			var trash = this.isTrash ? this : this.inTrash();
+			trash.preCommand(constants.ACTION.UPDATE, constants.EVENT.BEFORE_UPDATE, query).then((result) => {
+				var {query} = result;
+				this.modify(query, {
+					'$set': {
+						'_modified': new Date(),
+						'_modifiedBy': this.user ? this.user._id.toString() : 'anonymous'
+					},
+					'$unset': {
+						'_deleted': '',
+						'_deletedBy': ''
+					}
+				}, 'restore').then((data) => {
 					if (!data) {
 						return reject(constants.ERROR.NOT_FOUND);
 					}
 
-					this.collection.remove(query, (error) => {
+					this.postCommand(constants.ACTION.READ, constants.EVENT.AFTER_UPDATE, data).then(resolve, reject);
+					this.writeToFile(data);
+				}, reject);
+			}, reject);
+		});
+	}
+
+	/**
+	 * Performs multiple create, update, patch, and delete operations in series.  Each operation
+	 * triggers events and performs ACLs as if it were performed on its own.  Resolves with a result
+	 * for each operation containing either the resulting "data" or an "error".
+	 *
+	 * In atomic mode, the first failure stops the remaining operations, which fail with a failed
+	 * dependency error, and the operations already performed are reverted and flagged as
+	 * "rolledBack".  Only the documents are reverted: the events, webhooks, change feed messages,
+	 * and audit entries of the operations already performed are not undone, and reverting does
+	 * not trigger events of its own.
+	 * @param {object[]} operations Operations, e.g. {"action": "update", "id": "...", "data": {...}}.
+	 * @param {boolean} [atomic] Revert all operations when any operation fails.
+	 * @returns {Promise}
+	 */
+	bulk (operations, atomic) {
+		return new Promise((resolve, reject) => {
+			if (!(operations instanceof Array)) {
+				return reject(constants.ERROR.INVALID_BULK_OPERATION);
+			}
+
+			var results = [];
+			var rollbacks = [];
+			var failed = false;
+
+			async.eachSeries(operations, (operation, done) => {
+				if (failed) {
+					results.push({'error': constants.ERROR.FAILED_DEPENDENCY});
+					return done();
+				}
+
+				this.bulkOperation(operation, atomic).then((result) => {
+					results.push({'data': result.data});
+					rollbacks.push(result.rollback);
+					done();
+				}, (error) => {
+					results.push({'error': error});
+					failed = atomic;
+					done();
+				});
+			}, () => {
+				if (!failed) {
+					return resolve(results);
+				}
+
+				// revert in reverse order in case operations affected the same document
+				async.eachOfSeries(rollbacks.slice().reverse(), (rollback, index, done) => {
+					rollback((error) => {
 						if (error) {
-							return reject(error);
+							return done(error);
 						}
 
-						this.postCommand(constants.ACTION.READ, constants.EVENT.AFTER_DELETE, data).then(resolve, reject);
-					})
+						results[rollbacks.length - 1 - index].rolledBack = true;
+						done();
+					});
+				}, (error) => {
+					this.invalidateRoles(constants.ACTION.UPDATE);
+
+					if (error) {
+						return reject(error);
+					}
+
+					resolve(results);
 				});
-			}, reject);
+			});
+		});
+	}
+
+	/**
+	 * Performs a single bulk operation.
+	 * @private
+	 * @param {object} operation Operation containing the "action", "id", and "data".
+	 * @param {boolean} [atomic] Prepare a function to revert the operation.
+	 * @returns {Promise} Resolves with the resulting "data" and a "rollback" function.
+	 */
+	bulkOperation (operation, atomic) {
+		return new Promise((resolve, reject) => {
+			if (!_.isPlainObject(operation) || this.bulkActions.indexOf(operation.action) === -1 ||
+				(operation.action !== constants.ACTION.CREATE && !operation.id)) {
+				return reject(constants.ERROR.INVALID_BULK_OPERATION);
+			}
+
+			// users are created through the user controller, which hashes their password
+			if (this.name === constants.COLLECTION.USERS && operation.action === constants.ACTION.CREATE) {
+				return reject(constants.ERROR.FORBIDDEN);
+			}
+
+			var _id;
+			try {
+				_id = db.ObjectId(operation.action === constants.ACTION.CREATE ? undefined : String(operation.id));
+			} catch (error) {
+				return reject(constants.ERROR.INVALID_BULK_OPERATION);
+			}
+
+			// keep the original document to revert the operation
+			var findOriginal = (done) => {
+				if (!atomic || operation.action === constants.ACTION.CREATE) {
+					return done(null, null);
+				}
+
+				this.collection.findOne({'_id': _id}, done);
+			};
+
+			findOriginal((error, original) => {
+				if (error) {
+					return reject(error);
+				}
+
+				var rollback = (done) => {
+					if (original) {
+						return this.collection.save(original, (error) => done(error));
+					}
+
+					this.collection.remove({'_id': _id}, (error) => done(error));
+				};
+
+				var promise;
+				switch (operation.action) {
+					case constants.ACTION.CREATE:
+						promise = this.create(clone(operation.data || {}), _id);
+						break;
+					case constants.ACTION.UPDATE:
+						promise = this.update({'_id': _id}, clone(operation.data || {}));
+						break;
+					case constants.ACTION.DELETE:
+						promise = this.delete({'_id': _id});
+						break;
+					default:
+						promise = this.patch({'_id': _id}, clone(operation.data));
+				}
+
+				promise.then((data) => {
+					resolve({data, rollback});
+				}, reject);
+			});
 		});
 	}
 
 	/**
-	 * Trigger events and perform ACLs before CRUD operations are executed.
+	 * Trigger events, perform ACLs and validate data before CRUD operations are executed.  Operations
+	 * failing here are recorded in the audit log.
 	 * @private
 	 * @param {string} actionName Name of the action being performed.
 	 * @param {string} eventName Name of the event to trigger.
 	 * @param {object} query Query of the CRUD operation.
 	 * @param {object} data Data of the CRUD operation.
+	 * @param {boolean} [isOperators] Data is a map of update operators.
 	 * @returns {Promise}
 	 */
-	preCommand (actionName, eventName, query, data) {
+	preCommand (actionName, eventName, query, data, isOperators) {
 		return new Promise((resolve, reject) => {
-			Event.trigger(this.name, eventName, this.user, query, data).then((result) => {
+			var fail = (error) => {
+				this.audit(eventName, {
+					'documentIds': this.queryIds(query),
+					'outcome': error === constants.ERROR.FORBIDDEN || (error && error.message === constants.ERROR.FORBIDDEN) ?
+						Audit.outcomes.FORBIDDEN : Audit.outcomes.ERROR,
+					'error': error
+				});
+				reject(error);
+			};
+
+			this.trigger(eventName, query, data).then((result) => {
 				var {query, data} = result;
-				Acl.permit(this.name, actionName, this.user, query).then((query) => {
-					if (data) {
-						Acl.sanitize(this.name, actionName, this.user, data).then((data) => {
+				this.recordEvents(eventName, result.events);
+				Acl.permit(this.name, actionName, this.user, query, data, this.tenant).then((query) => {
+					return this.scopeQuery(query);
+				}).then((query) => {
+					if (data && isOperators) {
+						Acl.sanitizeOperators(this.name, actionName, this.user, data, query, this.tenant).then((data) => {
+							return Schema.validateOperators(this.name, data, this.tenant);
+						}).then((data) => {
+							return this.validate(data, true);
+						}).then((data) => {
 							resolve({query, data});
-						}, reject);
+						}, fail);
+					} else if (data) {
+						// the rules which granted an update apply to its data, which need not match them
+						Acl.sanitize(this.name, actionName, this.user, data, this.tenant, actionName === constants.ACTION.UPDATE ? query : undefined).then((data) => {
+							return Schema.validate(this.name, data, actionName === constants.ACTION.UPDATE, this.tenant);
+						}).then((data) => {
+							return this.validate(data, false);
+						}).then((data) => {
+							resolve({query, data});
+						}, fail);
 					} else {
 						resolve({query});
 					}
-				}, reject);
-			}, reject);
+				}, fail);
+			}, fail);
+		});
+	}
+
+	/**
+	 * Map of collection names to the functions which validate the data written to them beyond
+	 * their schema.  Validators are called with the data, whether it is a map of update operators,
+	 * and the tenant, and resolve with the data.
+	 * @private
+	 * @returns {object}
+	 */
+	get validators () {
+		return {
+			[constants.COLLECTION.USERS]: (data, isOperators, tenant) => Role.validateAssigned(data, isOperators, tenant),
+			[constants.COLLECTION.SCHEDULES]: (data, isOperators) => Schedule.validate(data, isOperators)
+		};
+	}
+
+	/**
+	 * Validates data with the validator of the collection, if any.
+	 * @private
+	 * @param {object} data Data of the CRUD operation.
+	 * @param {boolean} isOperators Data is a map of update operators.
+	 * @returns {Promise} Resolves with the data or rejects when it is not valid.
+	 */
+	validate (data, isOperators) {
+		// collection names come from requests, so names of object properties must not find a validator
+		if (!Object.prototype.hasOwnProperty.call(this.validators, this.name)) {
+			return Promise.resolve(data);
+		}
+
+		return this.validators[this.name](data, isOperators, this.tenant);
+	}
+
+	/**
+	 * Updates a single document, recording the version it replaces for collections with
+	 * "revisions" enabled.
+	 * @private
+	 * @param {object} query Query of the document.
+	 * @param {object} update Update operators.
+	 * @param {string} action Name of the action recorded with the revision.
+	 * @returns {Promise} Resolves with the updated document or null when not found.
+	 */
+	modify (query, update, action) {
+		return this.getSettings().then((settings) => {
+			return new Promise((resolve, reject) => {
+				this.collection.findAndModify({
+					'query': query,
+					'update': update,
+					'new': !settings.revisions
+				}, (error, data) => {
+					if (error) {
+						return reject(error);
+					}
+
+					if (!data || !settings.revisions) {
+						return resolve(data);
+					}
+
+					var previous = data;
+					this.collection.findOne({'_id': previous._id}, (error, data) => {
+						if (error) {
+							return reject(error);
+						}
+
+						Revision.save(this.name, this.user, previous, action, this.tenant).then(() => {
+							resolve(data);
+						}, reject);
+					});
+				});
+			});
 		});
 	}
 
 	/**
-	 * Trigger events and perform ACLs after CRUD operations are executed.
+	 * Restricts a query to the documents in the trash when scoped to the trash, otherwise to the
+	 * documents not in the trash of collections with "softDelete" enabled.
+	 * @private
+	 * @param {object} query Query of the CRUD operation.
+	 * @returns {Promise} Resolves with the scoped query.
+	 */
+	scopeQuery (query) {
+		return this.getSettings().then((settings) => {
+			if (!this.isTrash && !settings.softDelete) {
+				return query;
+			}
+
+			return Object.assign({}, query, {
+				'_deleted': {
+					'$exists': this.isTrash
+				}
+			});
+		});
+	}
+
+	/**
+	 * Retrieves the document describing this collection from the collections collection.
+	 * @private
+	 * @returns {Promise}
+	 */
+	getSettings () {
+		return new Promise((resolve, reject) => {
+			this.db.collection(constants.COLLECTION.COLLECTIONS).findOne({
+				'name': this.name
+			}, (error, collection) => {
+				if (error) {
+					return reject(error);
+				}
+
+				if (!collection) {
+					return reject(constants.ERROR.NOT_FOUND);
+				}
+
+				resolve(collection);
+			});
+		});
+	}
+
+	/**
+	 * Trigger events and perform ACLs after CRUD operations are executed, recording the operation
+	 * in the audit log.
 	 * @private
 	 * @param {string} actionName Name of the action being performed.
 	 * @param {string} eventName Name of the event to trigger.
 	 * @param {object} data Data of the CRUD operation.
+	 * @param {string[]} [fields] Fields changed by the operation.
 	 * @returns {Promise}
 	 */
-	postCommand (actionName, eventName, data) {
+	postCommand (actionName, eventName, data, fields) {
+		this.invalidateRoles(actionName);
+		if (this.hasSideEffects) {
+			Feed.publish(this.name, eventName, data, this.tenant);
+		}
+
+		this.audit(eventName, {
+			'documentIds': [].concat(data || []).filter((document) => document && document._id).map((document) => document._id),
+			'fields': fields,
+			'outcome': Audit.outcomes.ALLOWED
+		});
+
 		return new Promise((resolve, reject) => {
-			Acl.sanitize(this.name, actionName, this.user, data).then((data) => {
-				Event.trigger(this.name, eventName, this.user, null, data).then((result) => {
+			Acl.sanitize(this.name, actionName, this.user, data, this.tenant).then((data) => {
+				this.trigger(eventName, null, data).then((result) => {
+					this.recordEvents(eventName, result.events);
+					if (this.hasSideEffects) {
+						Webhook.trigger(this.name, eventName, result.data, this.tenant).catch((error) => {
+							console.error(error);
+						});
+					}
+
 					resolve(result.data)
 				}, reject);
 			}, reject);
 		});
 	}
 
+	/**
+	 * Discards the cached roles when the roles collection is written to.
+	 * @private
+	 * @param {string} actionName Name of the action performed.
+	 */
+	invalidateRoles (actionName) {
+		if (this.name === constants.COLLECTION.ROLES && actionName !== constants.ACTION.READ) {
+			Role.invalidate(this.tenant);
+		}
+	}
+
+	/**
+	 * Triggers the event handlers of an operation of the collection, unless it has no side effects.
+	 * @private
+	 * @param {string} eventName Name of the event.
+	 * @param {object} query Query of the CRUD operation.
+	 * @param {object} data Data of the CRUD operation.
+	 * @returns {Promise} Resolves with the resulting "query" and "data", and the ids of the "events" that ran.
+	 */
+	trigger (eventName, query, data) {
+		if (!this.hasSideEffects) {
+			return Promise.resolve({query, data, 'events': []});
+		}
+
+		return Event.trigger(this.name, eventName, this.user, query, data, this.tenant);
+	}
+
+	/**
+	 * Records an operation of the collection in the audit log, unless it has no side effects.
+	 * @private
+	 * @param {string} eventName Name of the event of the operation.
+	 * @param {object} entry "documentIds", "fields", "outcome", and "error" of the entry.
+	 */
+	audit (eventName, entry) {
+		if (!this.hasSideEffects) {
+			return;
+		}
+
+		Audit.log(this.user, this.context, Object.assign({
+			'action': eventName.replace(/^(before|after)/, '').toLowerCase(),
+			'collection': this.name
+		}, entry));
+	}
+
+	/**
+	 * Retrieves the ids a query is restricted to.
+	 * @private
+	 * @param {object} [query] Query of the CRUD operation.
+	 * @returns {ObjectId[]}
+	 */
+	queryIds (query) {
+		var id = query && query._id;
+		if (id && id.$in instanceof Array) {
+			return id.$in;
+		}
+
+		return id && !_.isPlainObject(id) ? [id] : [];
+	}
+
+	/**
+	 * Records the event handlers that ran for the operations of the collection.
+	 * @private
+	 * @param {string} eventName Name of the event.
+	 * @param {ObjectId[]} ids Ids of the event handlers.
+	 */
+	recordEvents (eventName, ids) {
+		ids.forEach((id) => {
+			this.firedEvents.push(this.name + '.' + eventName + ':' + id);
+		});
+	}
+
+	/**
+	 * Normalizes a sort to ascending and descending directions, ending with _id so that
+	 * every document has a unique position.
+	 * @private
+	 * @param {object} [sort] Sort of the documents.
+	 * @returns {object} Normalized sort.
+	 */
+	cursorSort (sort) {
+		if (!_.isPlainObject(sort) || Object.keys(sort).length === 0) {
+			sort = {'_created': -1};
+		}
+
+		var normalized = {};
+		Object.keys(sort).forEach((field) => {
+			normalized[field] = [-1, '-1', 'desc', 'descending'].indexOf(sort[field]) === -1 ? 1 : -1;
+		});
+
+		if (normalized._id === undefined) {
+			let fields = Object.keys(normalized);
+			normalized._id = normalized[fields[fields.length - 1]];
+		}
+
+		return normalized;
+	}
+
+	/**
+	 * Encodes the position of a document within a sort into an opaque cursor.
+	 * @private
+	 * @param {object} sort Normalized sort of the documents.
+	 * @param {object} document Last document of a page.
+	 * @returns {string} Cursor.
+	 */
+	encodeCursor (sort, document) {
+		var values = {};
+		Object.keys(sort).forEach((field) => {
+			values[field] = _.get(document, field, null);
+		});
+
+		values = _.cloneDeep(values);
+		mongoify(values);
+		return Buffer.from(JSON.stringify(values)).toString('base64');
+	}
+
+	/**
+	 * Determines whether the user can read every field of a sort.
+	 * @private
+	 * @param {object} sort Normalized sort of the documents.
+	 * @param {object} query Query permitted for reading the collection.
+	 * @returns {Promise} Resolves with true when every field is readable.
+	 */
+	isReadableSort (sort, query) {
+		return Acl.permittedFields(this.name, constants.ACTION.READ, this.user, query, this.tenant).then((permitted) => {
+			var fields = permitted.fields;
+			return !fields || Object.keys(sort).every((field) => fields.indexOf(field.split('.')[0]) !== -1);
+		});
+	}
+
+	/**
+	 * Decodes a cursor into the sort values of the document it points to.
+	 * @private
+	 * @param {object} sort Normalized sort of the documents.
+	 * @param {string} cursor Cursor created by encodeCursor.
+	 * @returns {object|undefined} Sort values or undefined when the cursor is not valid for the sort.
+	 */
+	decodeCursor (sort, cursor) {
+		var values;
+		try {
+			values = JSON.parse(Buffer.from(String(cursor), 'base64').toString('utf8'));
+		} catch (error) {
+			return undefined;
+		}
+
+		if (!_.isPlainObject(values) || !_.isEqual(Object.keys(values), Object.keys(sort))) {
+			return undefined;
+		}
+
+		var valid = Object.keys(values).every((field) => {
+			var value = values[field];
+			if (!_.isPlainObject(value)) {
+				return true;
+			}
+
+			try {
+				if (typeof value.$oid === 'string') {
+					values[field] = db.ObjectId(value.$oid);
+					return true;
+				}
+
+				if (typeof value.$date === 'string') {
+					values[field] = new Date(value.$date);
+					return !isNaN(values[field].getTime());
+				}
+			} catch (error) {
+				return false;
+			}
+
+			return false;
+		});
+
+		return valid ? values : undefined;
+	}
+
+	/**
+	 * Creates a query matching the documents following the provided sort values.
+	 * @private
+	 * @param {object} sort Normalized sort of the documents.
+	 * @param {object} values Sort values of the last document of the previous page.
+	 * @returns {object} Query.
+	 */
+	keysetQuery (sort, values) {
+		var fields = Object.keys(sort);
+		var conditions = [];
+		fields.forEach((field, index) => {
+			var following = this.followingCondition(field, sort[field], values[field]);
+			if (!following) {
+				return;
+			}
+
+			var condition = {};
+			fields.slice(0, index).forEach((previous) => {
+				condition[previous] = values[previous];
+			});
+			conditions.push(Object.assign(condition, following));
+		});
+
+		return {
+			'$or': conditions
+		};
+	}
+
+	/**
+	 * Creates a condition matching the values of a field which sort after a value.  Null and
+	 * missing values sort before any other value, and comparison operators do not match them.
+	 * @private
+	 * @param {string} field Field being sorted.
+	 * @param {number} direction Direction of the sort, 1 or -1.
+	 * @param {*} value Sort value of the last document of the previous page.
+	 * @returns {object|undefined} Condition or undefined when no value sorts after the value.
+	 */
+	followingCondition (field, direction, value) {
+		var condition = (operand) => {
+			return {
+				[field]: operand
+			};
+		};
+
+		if (value === null) {
+			return direction === -1 ? undefined : condition({'$ne': null});
+		}
+
+		if (direction === -1) {
+			return {
+				'$or': [condition({'$lt': value}), condition(null)]
+			};
+		}
+
+		return condition({'$gt': value});
+	}
+
+	/**
+	 * Retrieves the documents with the specified ids that the user can read.
+	 * @private
+	 * @param {ObjectId[]} ids Ids of the documents.
+	 * @returns {Promise} Resolves with a map of ids to sanitized documents.
+	 */
+	findByIds (ids) {
+		return new Promise((resolve, reject) => {
+			this.preCommand(constants.ACTION.READ, constants.EVENT.BEFORE_READ, {'_id': {'$in': ids}}).then((result) => {
+				var {query} = result;
+				this.collection.find(query, (error, data) => {
+					if (error) {
+						return reject(error);
+					}
+
+					// sanitizing may remove _id, so keep the ids in order
+					var ids = data.map((document) => document._id.toString());
+					this.postCommand(constants.ACTION.READ, constants.EVENT.AFTER_READ, data).then((data) => {
+						var documents = {};
+						ids.forEach((id, index) => {
+							documents[id] = data[index];
+						});
+						resolve(documents);
+					}, reject);
+				});
+			}, (error) => {
+				if (error === constants.ERROR.FORBIDDEN) {
+					return resolve({});
+				}
+
+				reject(error);
+			});
+		});
+	}
+
+	/**
+	 * Calls back with the parent and key of each value at a path, traversing arrays.
+	 * @private
+	 * @param {object[]} values Values to traverse.
+	 * @param {string[]} parts Remaining parts of the path.
+	 * @param {function} callback Called with the parent and key of each value.
+	 */
+	visitPath (values, parts, callback) {
+		values.forEach((value) => {
+			if (!_.isPlainObject(value) || value[parts[0]] === undefined || value[parts[0]] === null) {
+				return;
+			}
+
+			if (parts.length > 1) {
+				let next = value[parts[0]];
+				return this.visitPath(next instanceof Array ? next : [next], parts.slice(1), callback);
+			}
+
+			if (value[parts[0]] instanceof Array) {
+				return value[parts[0]].forEach((item, index) => callback(value[parts[0]], index));
+			}
+
+			callback(value, parts[0]);
+		});
+	}
+
+	/**
+	 * Determines whether a stage is allowed in an aggregation pipeline.
+	 * @private
+	 * @param {object} stage Aggregation stage.
+	 * @returns {boolean}
+	 */
+	isAggregationStage (stage) {
+		if (!_.isPlainObject(stage) || Object.keys(stage).length !== 1) {
+			return false;
+		}
+
+		var name = Object.keys(stage)[0];
+		if (this.aggregationStages.indexOf(name) === -1) {
+			return false;
+		}
+
+		if (name === '$lookup') {
+			let lookup = stage.$lookup;
+			return _.isPlainObject(lookup) && _.isEqual(Object.keys(lookup).sort(), ['as', 'foreignField', 'from', 'localField']) &&
+				Object.keys(lookup).every((key) => typeof lookup[key] === 'string');
+		}
+
+		var isAllowed = (value) => {
+			if (value instanceof Array) {
+				return value.every(isAllowed);
+			}
+
+			if (_.isPlainObject(value)) {
+				return Object.keys(value).every((key) => {
+					return this.aggregationBlacklist.indexOf(key) === -1 && isAllowed(value[key]);
+				});
+			}
+
+			return true;
+		};
+
+		return isAllowed(stage[name]);
+	}
+
+	/**
+	 * Restricts an aggregation stage to the documents and fields the user can read.
+	 * @private
+	 * @param {object} stage Aggregation stage.
+	 * @returns {Promise} Resolves with the permitted stage.
+	 */
+	permittedStage (stage) {
+		if (!stage.$lookup) {
+			return Promise.resolve(stage);
+		}
+
+		var lookup = stage.$lookup;
+		return Acl.permit(lookup.from, constants.ACTION.READ, this.user, {}, undefined, this.tenant).then((query) => {
+			// soft deleted documents of the collection being joined are left out, as when finding them
+			return new Collection(lookup.from, this.user, this.context).scopeQuery(query);
+		}).then((query) => {
+			return Acl.permittedFields(lookup.from, constants.ACTION.READ, this.user, query, this.tenant).then((permitted) => {
+				// joining on a field the user cannot read would reveal its values
+				if (permitted.fields && permitted.fields.indexOf(lookup.foreignField.split('.')[0]) === -1) {
+					return Promise.reject(constants.ERROR.INVALID_PIPELINE);
+				}
+
+				return this.fieldProjection(permitted.fields);
+			}).then((projection) => {
+				var foreignPipeline = [{
+					'$match': {
+						'$expr': {
+							'$in': ['$' + lookup.foreignField, {
+								'$cond': [{'$isArray': '$$localField'}, '$$localField', ['$$localField']]
+							}]
+						}
+					}
+				}, {
+					'$match': query
+				}];
+
+				if (projection) {
+					foreignPipeline.push({'$project': projection});
+				}
+
+				return {
+					'$lookup': {
+						'from': lookup.from,
+						'let': {
+							'localField': '$' + lookup.localField
+						},
+						'pipeline': foreignPipeline,
+						'as': lookup.as
+					}
+				};
+			});
+		});
+	}
+
+	/**
+	 * Creates a projection of the fields the user can read.
+	 * @private
+	 * @param {string} collectionName Name of the collection.
+	 * @param {object} query Query permitted for reading the collection.
+	 * @returns {Promise} Resolves with the projection or null when the collection has no ACL.
+	 */
+	permittedProjection (collectionName, query) {
+		return Acl.permittedFields(collectionName, constants.ACTION.READ, this.user, query, this.tenant).then((permitted) => {
+			return this.fieldProjection(permitted.fields);
+		});
+	}
+
+	/**
+	 * Creates a projection of permitted fields.
+	 * @private
+	 * @param {string[]|null} fields Fields the user can read, or null when the collection has no ACL.
+	 * @returns {Promise} Resolves with the projection or null when the collection has no ACL.
+	 */
+	fieldProjection (fields) {
+		if (!fields) {
+			return Promise.resolve(null);
+		}
+
+		if (fields.length === 0) {
+			return Promise.reject(constants.ERROR.FORBIDDEN);
+		}
+
+		var projection = {'_id': 0};
+		fields.forEach((field) => {
+			projection[field] = 1;
+		});
+		return Promise.resolve(projection);
+	}
+
+	/**
+	 * Restricts a query to documents last modified at one of the specified dates.
+	 * @private
+	 * @param {object} query Query of the CRUD operation.
+	 * @param {Date[]} [modified] Dates the document may have been last modified at.
+	 * @returns {object} Query including the precondition.
+	 */
+	preconditionQuery (query, modified) {
+		if (!modified) {
+			return query;
+		}
+
+		return Object.assign({}, query, {
+			'_modified': {
+				'$in': modified
+			}
+		});
+	}
+
+	/**
+	 * Rejects with precondition failed when a document matches the query but not the precondition,
+	 * otherwise rejects with not found.
+	 * @private
+	 * @param {object} query Query of the CRUD operation.
+	 * @param {Date[]} [modified] Dates the document may have been last modified at.
+	 * @returns {Promise}
+	 */
+	rejectNotFound (query, modified) {
+		return new Promise((resolve, reject) => {
+			if (!modified) {
+				return reject(constants.ERROR.NOT_FOUND);
+			}
+
+			this.collection.count(query, (error, count) => {
+				if (error) {
+					return reject(error);
+				}
+
+				reject(count > 0 ? constants.ERROR.PRECONDITION_FAILED : constants.ERROR.NOT_FOUND);
+			});
+		});
+	}
+
 	/**
 	 * Writes the specified document to the ../data folder when in development mode;
 	 * @private
 	 * @param {object} data Data to write.
 	 */
 	writeToFile (data) {
-		if (process.env.NODE_ENV !== 'development') {
+		// the data folder holds the documents of the server's database, which tenants are provisioned from
+		if (process.env.NODE_ENV !== 'development' || this.tenant) {
 			return;
 		}
 
@@ -2,6 +2,7 @@
 
 module.exports = {
 	ROLE: {
+		ADMIN: 'admin',
 		OWNER: 'owner',
 		PUBLIC: 'public'
 	},
@@ -19,18 +20,48 @@ module.exports = {
 		AFTER_CREATE: 'afterCreate',
 		AFTER_READ: 'afterRead',
 		AFTER_UPDATE: 'afterUpdate',
-		AFTER_DELETE: 'afterDelete'
+		AFTER_DELETE: 'afterDelete',
+		BEFORE_ANY: 'before*',
+		AFTER_ANY: 'after*'
 	},
 	COLLECTION: {
+		ANY: '*',
 		COLLECTIONS: 'collections',
 		EVENTS: 'events',
 		USERS: 'users',
-		PROPERTIES: 'properties'
+		ROLES: 'roles',
+		PROPERTIES: 'properties',
+		REVISIONS: 'revisions',
+		WEBHOOKS: 'webhooks',
+		WEBHOOK_DELIVERIES: 'webhookDeliveries',
+		JOBS: 'jobs',
+		SCHEDULES: 'schedules',
+		SCHEDULE_RUNS: 'scheduleRuns',
+		ENDPOINTS: 'endpoints',
+		AUDIT: 'audit',
+		TENANTS: 'tenants',
+		REFRESH_TOKENS: 'refreshTokens',
+		API_KEYS: 'apiKeys',
+		SECRETS: 'secrets'
 	},
 	ERROR: {
-		INVALID_EVENT: 'Invalid event, event must be "before", "beforeCreate", "beforeRead", "beforeUpdate", "beforeDelete", "afterCreate", "afterRead", "afterUpdate", or "afterDelete"',
+		INVALID_EVENT: 'Invalid event, event must be "beforeCreate", "beforeRead", "beforeUpdate", "beforeDelete", "afterCreate", "afterRead", "afterUpdate", or "afterDelete"',
 		INVALID_ACTION: 'Invalid action, action must be "create", "read", "update", or "delete"',
+		INVALID_CURSOR: 'Invalid cursor, cursor must be the "next" cursor of a previous page with the same sort',
+		INVALID_BULK_OPERATION: 'Invalid bulk operation, operation must have an "action" of "create", "update", "patch", or "delete" and an "id" unless creating',
+		INVALID_PIPELINE: 'Invalid pipeline, stages must be "$match", "$group", "$sort", "$project", "$limit", "$unwind", or the basic form of "$lookup"',
+		INVALID_EXPAND: 'Invalid expand, fields must lead to a field with a "Ref" type',
+		INVALID_QUERY: 'Invalid Query',
+		INVALID_OPERATOR: 'Invalid operator, operator must be "$set", "$unset", "$inc", "$push", "$addToSet", or "$pull"',
+		SCRIPT_TIMEOUT: 'Script timed out, scripts must call "done" before their deadline',
+		INVALID_TENANT: 'Invalid tenant, names must be lowercase letters, digits, and dashes and start with a letter or digit',
+		TENANT_EXISTS: 'Tenant already exists',
+		UNKNOWN_ROLE: 'Unknown role, roles must be the name of a document in the roles collection',
+		UNAUTHORIZED: 'Unauthorized',
 		FORBIDDEN: 'Forbidden',
-		NOT_FOUND: 'Not Found'
+		FAILED_DEPENDENCY: 'Failed Dependency',
+		NOT_FOUND: 'Not Found',
+		PRECONDITION_FAILED: 'Precondition Failed',
+		VALIDATION_FAILED: 'Validation Failed'
 	}
 };
\ No newline at end of file
@@ -0,0 +1,196 @@
+'use strict';
+
+/**
+ * Utility class for matching dates against cron expressions.  Expressions have five fields,
+ * "minute hour day-of-month month day-of-week", each of which may be "*", a value, a range
+ * "a-b", a step "*\/n" or "a-b/n", or a comma separated list of these.  Months and days of the
+ * week may be given by their three letter names.  The macros "@hourly", "@daily", "@midnight",
+ * "@weekly", "@monthly", "@yearly", and "@annually" are also supported.
+ * @type {Cron}
+ */
+module.exports = class Cron {
+	/**
+	 * Ranges and names of the fields of an expression.
+	 * @private
+	 * @returns {object[]}
+	 */
+	static get fields () {
+		return [
+			{'name': 'minute', 'min': 0, 'max': 59},
+			{'name': 'hour', 'min': 0, 'max': 23},
+			{'name': 'day', 'min': 1, 'max': 31},
+			{'name': 'month', 'min': 1, 'max': 12, 'names': ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']},
+			{'name': 'weekday', 'min': 0, 'max': 7, 'names': ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']}
+		];
+	}
+
+	/**
+	 * Map of macros to the expressions they stand for.
+	 * @private
+	 * @returns {object}
+	 */
+	static get macros () {
+		return {
+			'@hourly': '0 * * * *',
+			'@daily': '0 0 * * *',
+			'@midnight': '0 0 * * *',
+			'@weekly': '0 0 * * 0',
+			'@monthly': '0 0 1 * *',
+			'@yearly': '0 0 1 1 *',
+			'@annually': '0 0 1 1 *'
+		};
+	}
+
+	/**
+	 * Parses a cron expression.
+	 * @param {string} expression Cron expression.
+	 * @returns {object|undefined} Map of field names to arrays of matching values or undefined
+	 * when the expression is not valid.
+	 */
+	static parse (expression) {
+		expression = String(expression || '').trim().toLowerCase();
+		expression = this.macros[expression] || expression;
+
+		var parts = expression.split(/\s+/);
+		if (parts.length !== this.fields.length) {
+			return undefined;
+		}
+
+		var parsed = {};
+		for (let i = 0; i < parts.length; i++) {
+			let field = this.fields[i];
+			let values = this.parseField(field, parts[i]);
+			if (!values) {
+				return undefined;
+			}
+
+			parsed[field.name] = values;
+			parsed[field.name + 'Restricted'] = parts[i] !== '*';
+		}
+
+		// both 0 and 7 are Sunday
+		if (parsed.weekday.indexOf(7) !== -1 && parsed.weekday.indexOf(0) === -1) {
+			parsed.weekday.push(0);
+		}
+
+		return parsed;
+	}
+
+	/**
+	 * Determines whether a time zone is a known IANA time zone.
+	 * @param {string} timezone Name of the time zone, e.g. "Europe/Berlin".
+	 * @returns {boolean}
+	 */
+	static isValidTimezone (timezone) {
+		if (typeof timezone !== 'string' || timezone === '') {
+			return false;
+		}
+
+		try {
+			new Intl.DateTimeFormat('en-US', {'timeZone': timezone});
+		} catch (error) {
+			return false;
+		}
+
+		return true;
+	}
+
+	/**
+	 * Determines whether a date matches a cron expression, to the minute.
+	 * @param {string} expression Cron expression.
+	 * @param {Date} date Date being matched.
+	 * @param {string} [timezone] IANA time zone the expression is in, defaults to UTC.
+	 * @returns {boolean}
+	 */
+	static matches (expression, date, timezone) {
+		var cron = this.parse(expression);
+		if (!cron) {
+			return false;
+		}
+
+		var time = this.wallClock(date, timezone || 'UTC');
+		var day = cron.day.indexOf(time.day) !== -1;
+		var weekday = cron.weekday.indexOf(time.weekday) !== -1;
+
+		// when both days are restricted either one matches, as in cron
+		var dayMatches = cron.dayRestricted && cron.weekdayRestricted ? day || weekday : day && weekday;
+
+		return dayMatches &&
+			cron.minute.indexOf(time.minute) !== -1 &&
+			cron.hour.indexOf(time.hour) !== -1 &&
+			cron.month.indexOf(time.month) !== -1;
+	}
+
+	/**
+	 * Parses a single field of an expression.
+	 * @private
+	 * @param {object} field Range and names of the field.
+	 * @param {string} value Value of the field.
+	 * @returns {number[]|undefined} Array of matching values or undefined when not valid.
+	 */
+	static parseField (field, value) {
+		var values = [];
+		var toNumber = (item) => {
+			var index = field.names ? field.names.indexOf(item) : -1;
+			if (index !== -1) {
+				return index + (field.name === 'month' ? 1 : 0);
+			}
+
+			return /^\d+$/.test(item) ? parseInt(item, 10) : NaN;
+		};
+
+		var valid = value.split(',').every((item) => {
+			var match = /^(\*|[a-z0-9]+)(?:-([a-z0-9]+))?(?:\/(\d+))?$/.exec(item);
+			if (!match) {
+				return false;
+			}
+
+			var start = match[1] === '*' ? field.min : toNumber(match[1]);
+			var end = match[2] !== undefined ? toNumber(match[2]) : (match[1] === '*' || match[3] ? field.max : start);
+			var step = match[3] !== undefined ? parseInt(match[3], 10) : 1;
+
+			if (isNaN(start) || isNaN(end) || start < field.min || end > field.max || start > end || step < 1 ||
+				(match[1] === '*' && match[2] !== undefined)) {
+				return false;
+			}
+
+			for (let i = start; i <= end; i += step) {
+				if (values.indexOf(i) === -1) {
+					values.push(i);
+				}
+			}
+
+			return true;
+		});
+
+		return valid ? values : undefined;
+	}
+
+	/**
+	 * Resolves the wall clock time of a date in a time zone.
+	 * @private
+	 * @param {Date} date Date being resolved.
+	 * @param {string} timezone IANA time zone.
+	 * @returns {object} Numeric "minute", "hour", "day", "month", and "weekday".
+	 */
+	static wallClock (date, timezone) {
+		var formatted = new Intl.DateTimeFormat('en-US', {
+			'timeZone': timezone,
+			'hour12': false,
+			'year': 'numeric',
+			'month': 'numeric',
+			'day': 'numeric',
+			'hour': 'numeric',
+			'minute': 'numeric'
+		}).format(date);
+
+		var [month, day, year, hour, minute] = formatted.match(/\d+/g).map((value) => parseInt(value, 10));
+		return {
+			'minute': minute,
+			'hour': hour % 24,
+			'day': day,
+			'month': month,
+			'weekday': new Date(Date.UTC(year, month - 1, day)).getUTCDay()
+		};
+	}
+};
\ No newline at end of file
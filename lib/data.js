@@ -13,10 +13,11 @@ module.exports = class Data {
 	 * Gets a collection for performing CRUD operations
 	 * @param {string} name Name of the collection
 	 * @param {object} user User for ACLs
+	 * @param {object} [context] Tenant of the collection, and session id and IP address of the request recorded in the audit log
 	 * @returns {Collection|exports|module.exports}
 	 */
-	static collection (name, user) {
-		return new Collection(name, user);
+	static collection (name, user, context) {
+		return new Collection(name, user, context);
 	}
 
 	/**
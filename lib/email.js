@@ -2,10 +2,13 @@
 
 const url = require('url');
 const emailjs = require('emailjs');
-const db = require('./db');
 const Property = require('./property');
+const Tenant = require('./tenant');
 const Token = require('./token');
 
+// SMTP servers by tenant
+const smtpServers = {};
+
 /**
  * Email utilities.
  * @type {Email}
@@ -15,11 +18,12 @@ module.exports = class Email {
 	/**
 	 * Retrieves an email.
 	 * @param {string} name Name of the email
+	 * @param {string} [tenant] Tenant of the email.
 	 * @returns {Promise}
 	 */
-	static getEmail (name) {
+	static getEmail (name, tenant) {
 		return new Promise((resolve, reject) => {
-			db.collection('emails').findOne({
+			Tenant.db(tenant).collection('emails').findOne({
 				'name': name
 			}, (error, email) => {
 				if (error) {
@@ -34,36 +38,38 @@ module.exports = class Email {
 	/**
 	 * Sends an email.
 	 * @param {object} email Email to send.
+	 * @param {string} [tenant] Tenant whose server sends the email.
 	 * @returns {Promise}
 	 */
-	static send (email) {
+	static send (email, tenant) {
+		var key = tenant || '';
 		return new Promise((resolve) => {
-			if (this.smtpServer) {
-				return this.smtpServer.send(email, resolve);
+			if (smtpServers[key]) {
+				return smtpServers[key].send(email, resolve);
 			}
 
-			Property.getValue('backrest.email.enabled', true).then((enabled) => {
+			Property.getValue('backrest.email.enabled', true, tenant).then((enabled) => {
 				if (!enabled) {
 					return resolve(email);
 				}
 
 				var promises = [
-					this.getEnvOrProperty('BACKREST_EMAIL_SERVER_USER_KEY', 'backrest.email.server.user'),
-					this.getEnvOrProperty('BACKREST_EMAIL_SERVER_PASSWORD_KEY', 'backrest.email.server.password'),
-					this.getEnvOrProperty('BACKREST_EMAIL_SERVER_HOST_KEY', 'backrest.email.server.host'),
-					this.getEnvOrProperty('BACKREST_EMAIL_SERVER_PORT_KEY', 'backrest.email.server.port'),
-					this.getEnvOrProperty('BACKREST_EMAIL_SERVER_SSL_KEY', 'backrest.email.server.ssl')
+					this.getEnvOrProperty('BACKREST_EMAIL_SERVER_USER_KEY', 'backrest.email.server.user', tenant),
+					this.getEnvOrProperty('BACKREST_EMAIL_SERVER_PASSWORD_KEY', 'backrest.email.server.password', tenant),
+					this.getEnvOrProperty('BACKREST_EMAIL_SERVER_HOST_KEY', 'backrest.email.server.host', tenant),
+					this.getEnvOrProperty('BACKREST_EMAIL_SERVER_PORT_KEY', 'backrest.email.server.port', tenant),
+					this.getEnvOrProperty('BACKREST_EMAIL_SERVER_SSL_KEY', 'backrest.email.server.ssl', tenant)
 				];
 
 				Promise.all(promises).then((properties) => {
-					this.smtpServer = emailjs.server.connect({
+					smtpServers[key] = emailjs.server.connect({
 						'user': properties[0],
 						'password': properties[1],
 						'host': properties[2],
 						'port': properties[3],
 						'ssl': properties[4]
 					});
-					this.smtpServer.send(email, resolve);
+					smtpServers[key].send(email, resolve);
 				});
 			});
 		});
@@ -74,32 +80,34 @@ module.exports = class Email {
 	 * @private
 	 * @param {string} envKey Name of environment variable key.
 	 * @param {string} propertyKey Name of property key.
+	 * @param {string} [tenant] Tenant of the property.
 	 * @returns {object}
 	 */
-	static getEnvOrProperty (envKey, propertyKey) {
+	static getEnvOrProperty (envKey, propertyKey, tenant) {
 		if (process.env[envKey] && process.env[process.env[envKey]]) {
 			return Promise.resolve(process.env[process.env[envKey]])
 		}
 
-		return Property.getValue(propertyKey);
+		return Property.getValue(propertyKey, undefined, tenant);
 	}
 
 	/**
 	 * Send a password reset request email for the specified user.
 	 * @param {object} user User requesting password reset.
+	 * @param {string} [tenant] Tenant of the user.
 	 * @returns {Promise}
 	 */
-	static sendResetPassword (user) {
+	static sendResetPassword (user, tenant) {
 		return new Promise((resolve) => {
-			this.getEmail('passwordResetRequest').then((email) => {
+			this.getEmail('passwordResetRequest', tenant).then((email) => {
 				if (!email.enabled) {
 					resolve();
 				}
 
 				var promises = [];
-				promises.push(Property.getValue('backrest.authentication.resetPasswordToken.timeout'));
-				promises.push(Property.getValue('backrest.authentication.resetPasswordToken.algorithm'));
-				promises.push(Property.getValue('backrest.authentication.resetPasswordToken.password'));
+				promises.push(Property.getValue('backrest.authentication.resetPasswordToken.timeout', undefined, tenant));
+				promises.push(Property.getValue('backrest.authentication.resetPasswordToken.algorithm', undefined, tenant));
+				promises.push(Property.getValue('backrest.authentication.resetPasswordToken.password', undefined, tenant));
 				Promise.all(promises).then((properties) => {
 
 					// create and encrypt the token;
@@ -127,7 +135,7 @@ module.exports = class Email {
 					}
 
 					// send the email
-					this.send(email).then(resolve);
+					this.send(email, tenant).then(resolve);
 				});
 			});
 		});
@@ -136,23 +144,24 @@ module.exports = class Email {
 	/**
 	 * Send user confirmation email.
 	 * @param {object} user User to confirm.
+	 * @param {string} [tenant] Tenant of the user.
 	 * @returns {Promise}
 	 */
-	static sendConfirmEmail (user) {
+	static sendConfirmEmail (user, tenant) {
 		return new Promise((resolve) => {
 			if (user.isConfirmed) {
 				return resolve('Email already confirmed.');
 			}
 
-			this.getEmail('confirmEmail').then((email) => {
+			this.getEmail('confirmEmail', tenant).then((email) => {
 				if (!email.enabled) {
 					resolve();
 				}
 
 				var promises = [];
-				promises.push(Property.getValue('backrest.authentication.confirmEmailToken.timeout'));
-				promises.push(Property.getValue('backrest.authentication.confirmEmailToken.algorithm'));
-				promises.push(Property.getValue('backrest.authentication.confirmEmailToken.password'));
+				promises.push(Property.getValue('backrest.authentication.confirmEmailToken.timeout', undefined, tenant));
+				promises.push(Property.getValue('backrest.authentication.confirmEmailToken.algorithm', undefined, tenant));
+				promises.push(Property.getValue('backrest.authentication.confirmEmailToken.password', undefined, tenant));
 				Promise.all(promises).then((properties) => {
 
 					// create and encrypt the token;
@@ -182,7 +191,7 @@ module.exports = class Email {
 					}
 
 					// send the email
-					this.send(email).then(resolve);
+					this.send(email, tenant).then(resolve);
 				});
 			});
 		});
@@ -190,13 +199,14 @@ module.exports = class Email {
 
 	/**
 	 * Send an error email.
-	 * @param {object} request Request which caused the error.
+	 * @param {object} request Request which caused the error, sent from the server of its tenant.
 	 * @param {object} error Error being emailed.
 	 * @returns {Promise}
 	 */
 	static sendErrorEmail (request, error) {
+		var tenant = request.tenant;
 		return new Promise((resolve) => {
-			this.getEmail('errorEmail').then((email) => {
+			this.getEmail('errorEmail', tenant).then((email) => {
 				if (!email.enabled) {
 					resolve();
 				}
@@ -234,7 +244,7 @@ module.exports = class Email {
 				}
 
 				// send the email
-				this.send(email).then(resolve);
+				this.send(email, tenant).then(resolve);
 			});
 		});
 	}
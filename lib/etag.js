@@ -0,0 +1,48 @@
+'use strict';
+
+/**
+ * Utility class for generating and parsing document entity tags (ETags).  A document's ETag is
+ * derived from its _modified date, which changes on every update.
+ * @type {Etag}
+ */
+module.exports = class Etag {
+	/**
+	 * Generates a strong ETag for a document.
+	 * @param {object} data Document to generate the ETag for.
+	 * @returns {string|undefined} ETag or undefined when the document has no _modified date.
+	 */
+	static generate (data) {
+		if (!data || !data._modified) {
+			return undefined;
+		}
+
+		var modified = new Date(data._modified).getTime();
+		if (isNaN(modified)) {
+			return undefined;
+		}
+
+		return '"' + modified.toString(36) + '"';
+	}
+
+	/**
+	 * Parses an If-Match header into the _modified dates it matches.  Weak and malformed
+	 * ETags never match.
+	 * @param {string} [header] Value of the If-Match header.
+	 * @returns {Date[]|undefined} Array of dates or undefined when there is no precondition.
+	 */
+	static parse (header) {
+		if (!header || header.trim() === '*') {
+			return undefined;
+		}
+
+		var dates = [];
+		header.split(',').forEach((etag) => {
+			var match = /^"([0-9a-z]+)"$/.exec(etag.trim());
+			if (match) {
+				dates.push(new Date(parseInt(match[1], 36)));
+			}
+		});
+
+		return dates;
+	}
+};
\ No newline at end of file
@@ -1,12 +1,19 @@
 'use strict';
 
+const _ = require('lodash');
 const async = require('async');
+const util = require('util');
 const vm = require('vm');
-const db = require('./db');
 const constants = require('./constants');
 const Email = require('./email');
+const Job = require('./job');
 const Package = require('./package');
 const Property = require('./property');
+const Query = require('./query');
+const Tenant = require('./tenant');
+
+const scripts = new Map();
+const settings = new Map();
 
 /**
  * Handle events
@@ -14,17 +21,29 @@ const Property = require('./property');
  */
 module.exports = class Event {
 	/**
-	 * Synchronously execute event handlers on CRUD operations in isolated contexts.
+	 * Execute event handlers on CRUD operations in isolated contexts.  Handlers run in series
+	 * before the operation continues, except for handlers marked "async", which are queued as jobs
+	 * and run in the background.  Async handlers receive a copy of the data, so they can neither
+	 * modify the data nor prevent the operation.
+	 *
+	 * Handlers of the "*" collection run for every collection and handlers of the "before*" and
+	 * "after*" events run before and after every action.  Handlers are provided the
+	 * "collectionName" and "action" besides the "user", "query", and "data".
+	 *
+	 * Handlers with a higher "priority" run first, handlers of equal priority in the order they
+	 * were created.  Handlers with "enabled" set to false are skipped, as are handlers whose "when"
+	 * conditions do not match an object of the "data", "query", "user", "collectionName", and
+	 * "action", for example {"data.status": {"$exists": true}} to only run when the status is being set.
 	 * @param {string} collectionName Name of the collection.
 	 * @param {string} eventName Name of the event.
 	 * @param {object} user User object provided to event handlers.
 	 * @param {object} query Query object provided to event handlers.
 	 * @param {object} data Data object provided to event handlers.
-	 * @returns {Promise}
+	 * @param {string} [tenant] Tenant of the collection.
+	 * @returns {Promise} Resolves with the resulting "query" and "data", and the ids of the "events" that ran.
 	 */
-	static trigger (collectionName, eventName, user, query, data) {
+	static trigger (collectionName, eventName, user, query, data, tenant) {
 		return new Promise((resolve, reject) => {
-			const Data = require('./data'); // require 'Data' here to prevent issue with circular dependency
 			const events = [
 				constants.EVENT.BEFORE_CREATE,
 				constants.EVENT.BEFORE_READ,
@@ -40,35 +59,335 @@ module.exports = class Event {
 				return reject(constants.ERROR.INVALID_EVENT);
 			}
 
-			db.collection(constants.COLLECTION.EVENTS).find({
-				collection: collectionName,
-				event: eventName
-			}, (error, events) => {
+			var action = eventName.replace(/^(before|after)/, '').toLowerCase();
+			var context = {user, query, data, collectionName, action};
+
+			Tenant.db(tenant).collection(constants.COLLECTION.EVENTS).find({
+				collection: {'$in': [collectionName, constants.COLLECTION.ANY]},
+				event: {'$in': [eventName, /^before/.test(eventName) ? constants.EVENT.BEFORE_ANY : constants.EVENT.AFTER_ANY]},
+				enabled: {'$ne': false}
+			}).sort({'_id': 1}, (error, events) => {
 				if (error) {
 					return reject(error);
 				}
 
+				var fired = [];
+				events = _.sortBy(events, (event) => -(event.priority || 0));
+
 				async.eachSeries(events, (event, done) => {
-					const script = new vm.Script(event.script, {
-						timeout: 60000
-					});
+					if (event.when && !Query.match(context, event.when)) {
+						return done();
+					}
 
-					script.runInNewContext({
-						require: () => {
-							throw new Error("Not supported");
-						},
-						done, Data, Email, Property, Package, user, query, data, console
-					}, {
-						timeout: 60000
-					});
+					fired.push(event._id);
+					if (event.async) {
+						return Job.enqueue(Job.types.EVENT, {
+							'event': event._id,
+							'user': user ? _.omit(user, 'password') : user,
+							'query': query,
+							'data': data,
+							'collectionName': collectionName,
+							'action': action
+						}, tenant).then(() => done(), done);
+					}
+
+					this.execute(event, context, tenant).then(() => done(), done);
 				}, (error) => {
 					if (error) {
 						return reject(error);
 					}
 
-					resolve({query, data});
+					resolve({query, data, 'events': fired});
+				});
+			});
+		});
+	}
+
+	/**
+	 * Runs the script of an event handler with sample arguments without touching the database.
+	 * Reads through "Data" are performed without triggering events, webhooks, or audit entries,
+	 * writes through "Data" and calls to "Email" and "Package" are only recorded.  Calls to
+	 * "Property" are recorded and resolve with the value of the property.
+	 * @param {object} event Event handler.
+	 * @param {object} sample Sample "user", "query", "data", "collectionName", and "action" provided
+	 * to the event handler.  The collection name and action default to those of the handler.
+	 * @param {string} [tenant] Tenant of the event handler.
+	 * @returns {Promise} Resolves with the resulting "query" and "data", the "output" of the console,
+	 * the "calls" made, the "duration" in milliseconds, and the "error" of the handler, if any.
+	 */
+	static test (event, sample, tenant) {
+		var scope = this.scope(tenant);
+		var result = {
+			'query': sample.query,
+			'data': sample.data,
+			'output': [],
+			'calls': [],
+			'duration': 0,
+			'error': null
+		};
+
+		var record = (target, name, args) => {
+			result.calls.push({
+				'target': target,
+				'method': name,
+				'arguments': Array.from(args)
+			});
+		};
+
+		var stub = (target, source) => {
+			var stubbed = {};
+			Object.getOwnPropertyNames(source).forEach((name) => {
+				if (typeof source[name] === 'function' && name !== 'prototype' && name !== 'length' && name !== 'name') {
+					stubbed[name] = function () {
+						record(target, name, arguments);
+						return Promise.resolve();
+					};
+				}
+			});
+			return stubbed;
+		};
+
+		var stubCollection = (collection) => {
+			var stubbed = {};
+			['find', 'findOne', 'aggregate', 'expand'].forEach((name) => {
+				stubbed[name] = collection[name].bind(collection);
+			});
+
+			stubbed.inTrash = () => stubCollection(collection.inTrash());
+			// writes resolve with the data they were given
+			['update', 'patch', 'delete', 'restore', 'bulk'].forEach((name) => {
+				stubbed[name] = function (query, data) {
+					record('Data.' + collection.name, name, arguments);
+					return Promise.resolve(data === undefined ? query : data);
+				};
+			});
+
+			stubbed.create = function (data, id) {
+				record('Data.' + collection.name, 'create', arguments);
+				return Promise.resolve(Object.assign({'_id': id || scope.Data.ObjectId()}, data));
+			};
+
+			return stubbed;
+		};
+
+		var start = Date.now();
+		return this.execute(event, {
+			'user': sample.user,
+			'query': sample.query,
+			'data': sample.data,
+			'collectionName': sample.collectionName || (event.collection !== constants.COLLECTION.ANY ? event.collection : undefined),
+			'action': sample.action || (/^(before|after)[A-Z]/.test(event.event) ? event.event.replace(/^(before|after)/, '').toLowerCase() : undefined),
+			'console': this.createConsole(result.output),
+			'Data': {
+				'collection': (name, user) => stubCollection(scope.Data.collection(name, user).withoutSideEffects()),
+				'ObjectId': scope.Data.ObjectId
+			},
+			'Email': stub('Email', scope.Email),
+			'Package': stub('Package', Package),
+			'Property': {
+				'getValue': function (name, defaultValue) {
+					record('Property', 'getValue', arguments);
+					return scope.Property.getValue(name, defaultValue);
+				}
+			}
+		}, tenant).catch((error) => {
+
+			// errors thrown by scripts are not instances of the server's Error
+			result.error = error && error.stack ? error.message : error;
+		}).then(() => {
+			result.duration = Date.now() - start;
+			return result;
+		});
+	}
+
+	/**
+	 * Creates a console which records the messages logged by a script.
+	 * @param {object[]} output Array the "level", "message", and "date" of each message is added to.
+	 * @returns {object} Console with "log", "info", "warn", and "error".
+	 */
+	static createConsole (output) {
+		var record = (level) => {
+			return function () {
+				output.push({
+					'level': level,
+					'message': util.format.apply(util, arguments),
+					'date': new Date()
 				});
+			};
+		};
+
+		return {
+			'log': record('log'),
+			'info': record('info'),
+			'warn': record('warn'),
+			'error': record('error')
+		};
+	}
+
+	/**
+	 * Executes the script of a document, such as an event handler, in an isolated context providing
+	 * "done", "require", "Data", "Email", "Property", "Package", and "console".  "Data", "Email", and
+	 * "Property" are bound to the tenant of the script.
+	 *
+	 * Scripts must call "done" before the "backrest.events.timeout" deadline in milliseconds and
+	 * may only require the modules listed in "backrest.events.modules".  Asynchronous work a script
+	 * started is not stopped at the deadline, only its result is discarded.
+	 * @param {object} document Document with the "script", identified by its "_id" and "_modified" for caching.
+	 * @param {object} [globals] Additional globals provided to the script.
+	 * @param {string} [tenant] Tenant of the document.
+	 * @returns {Promise} Resolves when the script calls "done", rejects with the error it passes.
+	 */
+	static execute (document, globals, tenant) {
+		return this.settings(tenant).then((properties) => {
+			var [timeout, modules] = properties;
+
+			return new Promise((resolve, reject) => {
+				var settled = false;
+
+				var settle = (error) => {
+					if (settled) {
+						return;
+					}
+
+					settled = true;
+					clearTimeout(deadline);
+					if (error) {
+						return reject(error);
+					}
+
+					resolve();
+				};
+
+				var deadline = setTimeout(() => {
+					settle(constants.ERROR.SCRIPT_TIMEOUT);
+				}, timeout);
+
+				var done = (error) => {
+					settle(error || null);
+				};
+
+				var sandboxRequire = (name) => {
+					if (modules.indexOf(name) === -1) {
+						throw new Error('Module "' + name + '" is not allowed');
+					}
+
+					return require(name);
+				};
+
+				try {
+					this.compile(document, tenant).runInNewContext(Object.assign({
+						'require': sandboxRequire,
+						done, Package, console
+					}, this.scope(tenant), globals), {
+						'timeout': timeout
+					});
+				} catch (error) {
+					settle(error);
+				}
 			});
 		});
 	}
+
+	/**
+	 * Retrieves the timeout and modules of scripts.  They are needed by every script,
+	 * so they are cached for a few seconds rather than read for every run.
+	 * @private
+	 * @param {string} [tenant] Tenant of the scripts.
+	 * @returns {Promise} Resolves with an array of the timeout and modules.
+	 */
+	static settings (tenant) {
+		var key = tenant || '';
+		var cached = settings.get(key);
+		if (cached && cached.expires > Date.now()) {
+			return cached.properties;
+		}
+
+		var properties = Promise.all([
+			Property.getValue('backrest.events.timeout', 60000, tenant),
+			Property.getValue('backrest.events.modules', ['lodash', 'moment', 'crypto'], tenant)
+		]);
+
+		settings.set(key, {properties, 'expires': Date.now() + this.settingsTimeout});
+		return properties;
+	}
+
+	/**
+	 * Creates the "Data", "Email", and "Property" globals of scripts, bound to a tenant.
+	 * @private
+	 * @param {string} [tenant] Tenant of the script.
+	 * @returns {object}
+	 */
+	static scope (tenant) {
+		const Data = require('./data'); // require 'Data' here to prevent issue with circular dependency
+		return {
+			'Data': {
+				'collection': (name, user) => Data.collection(name, user, {'tenant': tenant}),
+				'ObjectId': Data.ObjectId
+			},
+			'Email': {
+				'getEmail': (name) => Email.getEmail(name, tenant),
+				'send': (email) => Email.send(email, tenant),
+				'sendResetPassword': (user) => Email.sendResetPassword(user, tenant),
+				'sendConfirmEmail': (user) => Email.sendConfirmEmail(user, tenant),
+				'sendErrorEmail': (request, error) => Email.sendErrorEmail(request, error)
+			},
+			'Property': {
+				'getValue': (name, defaultValue) => Property.getValue(name, defaultValue, tenant)
+			}
+		};
+	}
+
+	/**
+	 * Compiles the script of a document.  Scripts of documents with an "_id" are cached until the
+	 * document is modified.  Tenants are provisioned with the same documents, so the cache is
+	 * keyed by tenant as well.
+	 * @private
+	 * @param {object} document Document with the "script".
+	 * @param {string} [tenant] Tenant of the document.
+	 * @returns {vm.Script}
+	 */
+	static compile (document, tenant) {
+		if (!document._id) {
+			return new vm.Script(document.script);
+		}
+
+		var id = document._id.toString();
+		var key = (tenant || '') + ':' + id;
+		var modified = document._modified ? new Date(document._modified).getTime() : 0;
+		var cached = scripts.get(key);
+		if (cached && cached.modified === modified) {
+			return cached.script;
+		}
+
+		var script = new vm.Script(document.script, {
+			'filename': id + '.js'
+		});
+
+		// evict the least recently compiled script when the cache is full
+		scripts.delete(key);
+		if (scripts.size >= this.cacheSize) {
+			scripts.delete(scripts.keys().next().value);
+		}
+
+		scripts.set(key, {modified, script});
+		return script;
+	}
+
+	/**
+	 * Maximum number of compiled scripts kept in the cache.
+	 * @private
+	 * @returns {number}
+	 */
+	static get cacheSize () {
+		return 500;
+	}
+
+	/**
+	 * Milliseconds the settings of scripts are cached for.
+	 * @private
+	 * @returns {number}
+	 */
+	static get settingsTimeout () {
+		return 5000;
+	}
 };
\ No newline at end of file
@@ -0,0 +1,101 @@
+'use strict';
+
+const Acl = require('./acl');
+const Query = require('./query');
+const constants = require('./constants');
+
+const subscriptions = [];
+
+/**
+ * Change feed of collections.  Subscribers are notified when documents they can read are
+ * created, updated, or deleted.
+ * @type {Feed}
+ */
+module.exports = class Feed {
+	/**
+	 * Map of the events a change is published from to the type of the change.
+	 * @private
+	 * @returns {object}
+	 */
+	static get changes () {
+		return {
+			[constants.EVENT.AFTER_CREATE]: constants.ACTION.CREATE,
+			[constants.EVENT.AFTER_UPDATE]: constants.ACTION.UPDATE,
+			[constants.EVENT.AFTER_DELETE]: constants.ACTION.DELETE
+		};
+	}
+
+	/**
+	 * Subscribes to the changes of documents in a collection the user can read.
+	 * @param {string} collectionName Name of the collection.
+	 * @param {object} user User being checked for access.  Typically the logged in user.
+	 * @param {object} [conditions] Parsed conditions the changed documents must match.
+	 * @param {function} listener Called with the "action" and sanitized "data" of each change.
+	 * @param {string} [tenant] Tenant of the collection.
+	 * @returns {Promise} Resolves with a function which ends the subscription.
+	 */
+	static subscribe (collectionName, user, conditions, listener, tenant) {
+		return Query.checkRegexes(conditions).then(() => {
+			return Acl.permit(collectionName, constants.ACTION.READ, user, {}, undefined, tenant);
+		}).then(() => {
+			var subscription = {collectionName, user, conditions, listener, tenant};
+			subscriptions.push(subscription);
+
+			return () => this.unsubscribe(subscription);
+		});
+	}
+
+	/**
+	 * Ends a subscription.
+	 * @private
+	 * @param {object} subscription Subscription being ended.
+	 */
+	static unsubscribe (subscription) {
+		var index = subscriptions.indexOf(subscription);
+		if (index !== -1) {
+			subscriptions.splice(index, 1);
+		}
+	}
+
+	/**
+	 * Notifies the subscribers of a collection of a change to a document.  Each subscriber only
+	 * receives documents and fields they can read.
+	 * @param {string} collectionName Name of the collection.
+	 * @param {string} eventName Name of the event the change occurred in.
+	 * @param {object} data Changed document.
+	 * @param {string} [tenant] Tenant of the collection.
+	 */
+	static publish (collectionName, eventName, data, tenant) {
+		var action = this.changes[eventName];
+		if (!action || !data) {
+			return;
+		}
+
+		subscriptions.filter((subscription) => {
+			return subscription.collectionName === collectionName && subscription.tenant === tenant;
+		}).forEach((subscription) => {
+			Acl.permit(collectionName, constants.ACTION.READ, subscription.user, {}, undefined, tenant).then((query) => {
+				var matches;
+				try {
+					matches = Query.match(data, query) && Query.match(data, subscription.conditions);
+				} catch (error) {
+					// conditions which cannot be matched would fail on every change, so the subscription is ended
+					console.error(error);
+					return this.unsubscribe(subscription);
+				}
+
+				if (!matches) {
+					return;
+				}
+
+				return Acl.sanitize(collectionName, constants.ACTION.READ, subscription.user, data, tenant).then((data) => {
+					subscription.listener({action, data});
+				});
+			}, () => {
+				// subscribers who can no longer read the collection are not notified
+			}).catch((error) => {
+				console.error(error);
+			});
+		});
+	}
+};
\ No newline at end of file
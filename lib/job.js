@@ -0,0 +1,278 @@
+'use strict';
+
+const Property = require('./property');
+const Tenant = require('./tenant');
+const constants = require('./constants');
+
+var running = {};
+
+/**
+ * Persistent queue of background jobs.  Jobs are processed by a worker loop with a limited
+ * concurrency.  Failed jobs are retried with an exponential backoff until they run out of
+ * attempts, after which they are kept as dead jobs.  Each tenant has its own queue and concurrency.
+ * @type {Job}
+ */
+module.exports = class Job {
+	/**
+	 * Types of jobs.
+	 * @returns {object}
+	 */
+	static get types () {
+		return {
+			'EVENT': 'event'
+		};
+	}
+
+	/**
+	 * Statuses of jobs.
+	 * @returns {object}
+	 */
+	static get statuses () {
+		return {
+			'QUEUED': 'queued',
+			'RUNNING': 'running',
+			'COMPLETED': 'completed',
+			'DEAD': 'dead'
+		};
+	}
+
+	/**
+	 * Milliseconds a job may run before it is considered abandoned and queued again.
+	 * @private
+	 * @returns {number}
+	 */
+	static get lockTimeout () {
+		return 5 * 60 * 1000;
+	}
+
+	/**
+	 * Adds a job to the queue.
+	 * @param {string} type Type of the job.
+	 * @param {object} data Data the job is run with.
+	 * @param {string} [tenant] Tenant of the job.
+	 * @returns {Promise} Resolves with the job.
+	 */
+	static enqueue (type, data, tenant) {
+		return Property.getValue('backrest.jobs.maxAttempts', 5, tenant).then((maxAttempts) => {
+			return new Promise((resolve, reject) => {
+				Tenant.db(tenant).collection(constants.COLLECTION.JOBS).insert({
+					'type': type,
+					'data': data,
+					'status': this.statuses.QUEUED,
+					'attempts': 0,
+					'maxAttempts': maxAttempts,
+					'runAt': new Date(),
+					'_created': new Date(),
+					'_modified': new Date()
+				}, (error, job) => {
+					if (error) {
+						return reject(error);
+					}
+
+					// start the job right away when the worker has capacity
+					setImmediate(() => {
+						this.work(tenant).catch((error) => {
+							console.error(error);
+						});
+					});
+
+					resolve(job);
+				});
+			});
+		});
+	}
+
+	/**
+	 * Runs the jobs which are due, up to the concurrency of the worker.
+	 * @param {string} [tenant] Tenant of the jobs.
+	 * @returns {Promise} Resolves once no more jobs can be started.
+	 */
+	static work (tenant) {
+		var key = tenant || '';
+		return Property.getValue('backrest.jobs.concurrency', 4, tenant).then((concurrency) => {
+			return this.requeueAbandoned(tenant).then(() => {
+				var next = () => {
+					if ((running[key] || 0) >= concurrency) {
+						return Promise.resolve();
+					}
+
+					// the slot is taken before claiming, so that concurrent loops cannot claim past the concurrency
+					running[key] = (running[key] || 0) + 1;
+					return this.claim(tenant).then((job) => {
+						if (!job) {
+							running[key]--;
+							return;
+						}
+
+						this.run(job, tenant).then(() => {
+							running[key]--;
+						}, (error) => {
+							running[key]--;
+							console.error(error);
+						});
+
+						return next();
+					}, (error) => {
+						running[key]--;
+						return Promise.reject(error);
+					});
+				};
+
+				return next();
+			});
+		});
+	}
+
+	/**
+	 * Claims the next job which is due so that no other worker runs it.
+	 * @private
+	 * @param {string} [tenant] Tenant of the jobs.
+	 * @returns {Promise} Resolves with the job or null when no job is due.
+	 */
+	static claim (tenant) {
+		return new Promise((resolve, reject) => {
+			var now = new Date();
+			Tenant.db(tenant).collection(constants.COLLECTION.JOBS).findAndModify({
+				'query': {
+					'status': this.statuses.QUEUED,
+					'runAt': {'$lte': now}
+				},
+				'sort': {'runAt': 1},
+				'update': {
+					'$set': {
+						'status': this.statuses.RUNNING,
+						'startedAt': now,
+						'lockedUntil': new Date(now.getTime() + this.lockTimeout),
+						'_modified': now
+					},
+					'$inc': {'attempts': 1}
+				},
+				'new': true
+			}, (error, job) => {
+				if (error) {
+					return reject(error);
+				}
+
+				resolve(job);
+			});
+		});
+	}
+
+	/**
+	 * Queues the running jobs whose lock expired, such as jobs of a worker which stopped.
+	 * @private
+	 * @param {string} [tenant] Tenant of the jobs.
+	 * @returns {Promise}
+	 */
+	static requeueAbandoned (tenant) {
+		return new Promise((resolve, reject) => {
+			Tenant.db(tenant).collection(constants.COLLECTION.JOBS).update({
+				'status': this.statuses.RUNNING,
+				'lockedUntil': {'$lt': new Date()}
+			}, {
+				'$set': {
+					'status': this.statuses.QUEUED,
+					'runAt': new Date(),
+					'_modified': new Date()
+				}
+			}, {'multi': true}, (error) => {
+				if (error) {
+					return reject(error);
+				}
+
+				resolve();
+			});
+		});
+	}
+
+	/**
+	 * Runs a claimed job and records the outcome.
+	 * @private
+	 * @param {object} job Job being run.
+	 * @param {string} [tenant] Tenant of the job.
+	 * @returns {Promise}
+	 */
+	static run (job, tenant) {
+		var handler = this.handlers[job.type];
+		var result = handler ? Promise.resolve().then(() => handler(job.data, tenant)) : Promise.reject('Unknown job type ' + job.type);
+
+		return result.then(() => {
+			return this.finish(job, {
+				'status': this.statuses.COMPLETED,
+				'finishedAt': new Date()
+			}, tenant);
+		}, (error) => {
+			var update = {
+				'error': error && error.stack ? error.message : error,
+				'finishedAt': new Date()
+			};
+
+			if (job.attempts < job.maxAttempts) {
+				update.status = this.statuses.QUEUED;
+				update.runAt = new Date(Date.now() + 1000 * Math.pow(2, job.attempts));
+			} else {
+				update.status = this.statuses.DEAD;
+			}
+
+			return this.finish(job, update, tenant);
+		});
+	}
+
+	/**
+	 * Records the outcome of a job.
+	 * @private
+	 * @param {object} job Job being finished.
+	 * @param {object} update Fields being set on the job.
+	 * @param {string} [tenant] Tenant of the job.
+	 * @returns {Promise}
+	 */
+	static finish (job, update, tenant) {
+		return new Promise((resolve, reject) => {
+			update.lockedUntil = null;
+			update._modified = new Date();
+			Tenant.db(tenant).collection(constants.COLLECTION.JOBS).update({
+				'_id': job._id
+			}, {
+				'$set': update
+			}, (error) => {
+				if (error) {
+					return reject(error);
+				}
+
+				resolve();
+			});
+		});
+	}
+
+	/**
+	 * Map of job types to the functions which run them.
+	 * @private
+	 * @returns {object}
+	 */
+	static get handlers () {
+		return {
+			[this.types.EVENT]: (data, tenant) => {
+				const Event = require('./event'); // require 'Event' here to prevent issue with circular dependency
+				return new Promise((resolve, reject) => {
+					Tenant.db(tenant).collection(constants.COLLECTION.EVENTS).findOne({'_id': data.event}, (error, event) => {
+						if (error) {
+							return reject(error);
+						}
+
+						if (!event) {
+							return reject(constants.ERROR.NOT_FOUND);
+						}
+
+						Event.execute(event, {
+							'user': data.user,
+							'query': data.query,
+							'data': data.data,
+							'collectionName': data.collectionName,
+							'action': data.action
+						}, tenant).then(resolve, reject);
+					});
+				});
+			}
+		};
+	}
+};
\ No newline at end of file
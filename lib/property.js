@@ -1,6 +1,6 @@
 'use strict';
 
-const db = require('./db');
+const Tenant = require('./tenant');
 const constants = require('./constants');
 
 /**
@@ -19,11 +19,12 @@ module.exports = class Property {
 	 * Retrieves a property.  Resolves with default value if property is not set.
 	 * @param {string} name Name of property
 	 * @param {Object} [defaultValue] Value when property is not set.
+	 * @param {string} [tenant] Tenant of the property.
 	 * @returns {Promise} Resolves with property value or default value.
 	 */
-	static getValue (name, defaultValue) {
+	static getValue (name, defaultValue, tenant) {
 		return new Promise((resolve) => {
-			db.collection(constants.COLLECTION.PROPERTIES).findOne({
+			Tenant.db(tenant).collection(constants.COLLECTION.PROPERTIES).findOne({
 				'name': name
 			}, (error, property) => {
 				if (error || !property) {
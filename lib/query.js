@@ -0,0 +1,611 @@
+'use strict';
+
+const _ = require('lodash');
+const db = require('./db');
+const Acl = require('./acl');
+const Schema = require('./schema');
+const constants = require('./constants');
+
+/**
+ * Parses and validates queries provided by clients.  Conditions may only use a set of allowed
+ * operators and may only reference fields the user can read.  String values of ObjectId fields
+ * are converted into ObjectIds.
+ * @type {Query}
+ */
+module.exports = class Query {
+	/**
+	 * A set of operators allowed on fields.
+	 * @private
+	 * @returns {string[]} Array of operators.
+	 */
+	static get fieldOperators () {
+		return ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$exists', '$type', '$all', '$size',
+			'$elemMatch', '$mod', '$not', '$regex', '$options'];
+	}
+
+	/**
+	 * A set of operators allowed to combine conditions.
+	 * @private
+	 * @returns {string[]} Array of operators.
+	 */
+	static get logicalOperators () {
+		return ['$and', '$or', '$nor'];
+	}
+
+	/**
+	 * Maximum length of a regular expression.
+	 * @private
+	 * @returns {number}
+	 */
+	static get maxRegexLength () {
+		return 256;
+	}
+
+	/**
+	 * Parses the conditions and sort of a find request for the specified collection.  Rejects with
+	 * an invalid query error containing a list of errors when either is not valid.
+	 * @param {string} collectionName Name of the collection.
+	 * @param {object} user User performing the query.  Typically the logged in user.
+	 * @param {string} [conditions] JSON encoded conditions.
+	 * @param {string} [sort] JSON encoded sort.
+	 * @param {string} [tenant] Tenant of the collection.
+	 * @returns {Promise} Resolves with the parsed "conditions" and "sort".
+	 */
+	static parse (collectionName, user, conditions, sort, tenant) {
+		var errors = [];
+		var parseJson = (name, value) => {
+			if (value === undefined || value === '') {
+				return undefined;
+			}
+
+			try {
+				value = JSON.parse(value);
+			} catch (error) {
+				errors.push({
+					'field': name,
+					'message': 'must be valid JSON'
+				});
+				return undefined;
+			}
+
+			if (!_.isPlainObject(value)) {
+				errors.push({
+					'field': name,
+					'message': 'must be an Object'
+				});
+				return undefined;
+			}
+
+			return value;
+		};
+
+		conditions = parseJson('conditions', conditions);
+		sort = parseJson('sort', sort);
+		if (errors.length > 0) {
+			return this.reject(errors);
+		}
+
+		return Promise.all([
+			Schema.getDefinition(collectionName, tenant),
+			Acl.permit(collectionName, constants.ACTION.READ, user, {}, undefined, tenant).then((query) => {
+				return Acl.permittedFields(collectionName, constants.ACTION.READ, user, query, tenant);
+			}).then((permitted) => permitted.fields)
+		]).then((results) => {
+			var [definition, fields] = results;
+			var context = {definition, fields, errors};
+
+			if (conditions) {
+				conditions = this.parseConditions(context, conditions, 'conditions');
+			}
+
+			if (sort) {
+				Object.keys(sort).forEach((path) => {
+					this.checkField(context, path, 'sort.' + path);
+				});
+			}
+
+			if (errors.length > 0) {
+				return this.reject(errors);
+			}
+
+			return {conditions, sort};
+		});
+	}
+
+	/**
+	 * Determines whether a document matches a set of parsed conditions, for documents which are
+	 * not queried from the database.  Supports the same operators as queries.
+	 * @param {object} document Document being matched.
+	 * @param {object} [conditions] Parsed conditions.
+	 * @returns {boolean}
+	 */
+	static match (document, conditions) {
+		return Object.keys(conditions || {}).every((key) => {
+			var value = conditions[key];
+			switch (key) {
+				case '$and':
+					return value.every((condition) => this.match(document, condition));
+				case '$or':
+					return value.some((condition) => this.match(document, condition));
+				case '$nor':
+					return !value.some((condition) => this.match(document, condition));
+				default:
+					return this.matchValues(this.resolve(document, key), value);
+			}
+		});
+	}
+
+	/**
+	 * Checks that the regular expressions within parsed conditions are safe to match against
+	 * documents, for conditions which are matched rather than queried from the database.
+	 * @param {object} [conditions] Parsed conditions.
+	 * @returns {Promise} Resolves with the conditions, or rejects with an invalid query error.
+	 */
+	static checkRegexes (conditions) {
+		var context = {'errors': []};
+		var check = (value, location) => {
+			if (value instanceof Array) {
+				return value.forEach((item, index) => check(item, location + '.' + index));
+			}
+
+			if (!_.isPlainObject(value)) {
+				return;
+			}
+
+			Object.keys(value).forEach((key) => {
+				var operand = value[key];
+				var keyLocation = location + '.' + key;
+
+				if (key === '$regex' && (typeof operand !== 'string' || !this.isSafeRegex(operand))) {
+					this.error(context, keyLocation, 'must be at most ' + this.maxRegexLength +
+						' characters without nested quantifiers or quantified alternations');
+				} else if (key === '$options' && (typeof operand !== 'string' || !/^[im]*$/.test(operand))) {
+					this.error(context, keyLocation, 'must only contain the options "i" or "m"');
+				} else {
+					check(operand, keyLocation);
+				}
+			});
+		};
+
+		check(conditions, 'conditions');
+		return context.errors.length > 0 ? this.reject(context.errors) : Promise.resolve(conditions);
+	}
+
+	/**
+	 * Validates and converts a set of conditions.
+	 * @private
+	 * @param {object} context Definition, readable fields, and errors of the query.
+	 * @param {object} conditions Conditions being parsed.
+	 * @param {string} location Location of the conditions within the query, used for errors.
+	 * @returns {object} Converted conditions.
+	 */
+	static parseConditions (context, conditions, location) {
+		var parsed = {};
+		Object.keys(conditions).forEach((key) => {
+			var value = conditions[key];
+			var keyLocation = location + '.' + key;
+
+			if (key.charAt(0) !== '$') {
+				if (this.checkField(context, key, keyLocation)) {
+					parsed[key] = this.parseValue(context, key, value, keyLocation);
+				}
+				return;
+			}
+
+			if (this.logicalOperators.indexOf(key) === -1) {
+				return this.error(context, keyLocation, 'is not an allowed operator');
+			}
+
+			if (!(value instanceof Array) || value.length === 0 || !value.every(_.isPlainObject)) {
+				return this.error(context, keyLocation, 'must be a non-empty Array of conditions');
+			}
+
+			parsed[key] = value.map((item, index) => this.parseConditions(context, item, keyLocation + '.' + index));
+		});
+		return parsed;
+	}
+
+	/**
+	 * Validates and converts the value of a field condition.
+	 * @private
+	 * @param {object} context Definition, readable fields, and errors of the query.
+	 * @param {string} path Path of the field.
+	 * @param {*} value Value or operator expression of the condition.
+	 * @param {string} location Location of the value within the query, used for errors.
+	 * @returns {*} Converted value.
+	 */
+	static parseValue (context, path, value, location) {
+		var isObjectId = path === '_id' || /\._id$/.test(path) ||
+			(!!context.definition && (Schema.getField(context.definition, path) || {}).type === 'objectid');
+
+		var toObjectId = (value, location) => {
+			if (!isObjectId || typeof value !== 'string') {
+				return value;
+			}
+
+			if (!/^[0-9a-fA-F]{24}$/.test(value)) {
+				this.error(context, location, 'must be an ObjectId');
+				return value;
+			}
+
+			return db.ObjectId(value);
+		};
+
+		if (!_.isPlainObject(value) || !Object.keys(value).some((key) => key.charAt(0) === '$')) {
+			return toObjectId(value, location);
+		}
+
+		var parsed = {};
+		Object.keys(value).forEach((operator) => {
+			var operand = value[operator];
+			var operatorLocation = location + '.' + operator;
+
+			if (this.fieldOperators.indexOf(operator) === -1) {
+				return this.error(context, operatorLocation, 'is not an allowed operator');
+			}
+
+			switch (operator) {
+				case '$in':
+				case '$nin':
+				case '$all':
+					if (!(operand instanceof Array)) {
+						return this.error(context, operatorLocation, 'must be an Array');
+					}
+
+					parsed[operator] = operand.map((item, index) => toObjectId(item, operatorLocation + '.' + index));
+					break;
+				case '$eq':
+				case '$ne':
+					parsed[operator] = toObjectId(operand, operatorLocation);
+					break;
+				case '$not':
+					if (!_.isPlainObject(operand)) {
+						return this.error(context, operatorLocation, 'must be an operator expression');
+					}
+
+					parsed[operator] = this.parseValue(context, path, operand, operatorLocation);
+					break;
+				case '$elemMatch': {
+					if (!_.isPlainObject(operand)) {
+						return this.error(context, operatorLocation, 'must be an Object');
+					}
+
+					// fields within elements are relative to the array, which is already permitted
+					let elementContext = {
+						'definition': null,
+						'fields': null,
+						'errors': context.errors
+					};
+
+					// elements which are not documents are matched with an operator expression, e.g. {"$gt": 5}
+					if (this.isOperatorExpression(operand)) {
+						parsed[operator] = this.parseValue(elementContext, path, operand, operatorLocation);
+					} else {
+						parsed[operator] = this.parseConditions(elementContext, operand, operatorLocation);
+					}
+					break;
+				}
+				case '$regex':
+					if (typeof operand !== 'string') {
+						return this.error(context, operatorLocation, 'must be a String');
+					}
+
+					if (!this.isSafeRegex(operand)) {
+						return this.error(context, operatorLocation, 'must be at most ' + this.maxRegexLength +
+							' characters without nested quantifiers or quantified alternations');
+					}
+
+					parsed[operator] = operand;
+					break;
+				case '$options':
+					if (typeof operand !== 'string' || !/^[im]*$/.test(operand)) {
+						return this.error(context, operatorLocation, 'must only contain the options "i" or "m"');
+					}
+
+					parsed[operator] = operand;
+					break;
+				default:
+					if (_.isPlainObject(operand)) {
+						return this.error(context, operatorLocation, 'must not be an Object');
+					}
+
+					parsed[operator] = operand;
+			}
+		});
+		return parsed;
+	}
+
+	/**
+	 * Determines whether a value is an operator expression, such as {"$gt": 5}, rather than
+	 * conditions on fields or a combination of conditions.
+	 * @private
+	 * @param {object} value Value being checked.
+	 * @returns {boolean}
+	 */
+	static isOperatorExpression (value) {
+		var keys = Object.keys(value);
+		return keys.length > 0 && keys.every((key) => key.charAt(0) === '$' && this.logicalOperators.indexOf(key) === -1);
+	}
+
+	/**
+	 * Checks whether a field may be queried by the user.
+	 * @private
+	 * @param {object} context Definition, readable fields, and errors of the query.
+	 * @param {string} path Path of the field.
+	 * @param {string} location Location of the field within the query, used for errors.
+	 * @returns {boolean}
+	 */
+	static checkField (context, path, location) {
+		if (path.indexOf('$') !== -1) {
+			this.error(context, location, 'is not a valid field');
+			return false;
+		}
+
+		if (context.fields && context.fields.indexOf(path.split('.')[0]) === -1) {
+			this.error(context, location, 'is not a readable field');
+			return false;
+		}
+
+		return true;
+	}
+
+	/**
+	 * Determines whether a regular expression is short and free of nested quantifiers, such as
+	 * "((a+))+", and of quantified alternations, such as "(a|a)*", which may cause catastrophic
+	 * backtracking.  Groups are walked with a stack, so a quantified group is rejected when its
+	 * contents contain a quantifier or an alternation at any depth.
+	 * @private
+	 * @param {string} pattern Regular expression.
+	 * @returns {boolean}
+	 */
+	static isSafeRegex (pattern) {
+		var quantifier = /^([+*?]|\{\d+,?\d*\})/;
+		var repeats = /^([+*]|\{\d+,?\d*\})/;
+		// each open group records whether its contents are quantified or alternated
+		var groups = [{'ambiguous': false}];
+		var index = 0;
+
+		if (pattern.length > this.maxRegexLength) {
+			return false;
+		}
+
+		try {
+			new RegExp(pattern);
+		} catch (error) {
+			return false;
+		}
+
+		while (index < pattern.length) {
+			let character = pattern.charAt(index);
+			let group = groups[groups.length - 1];
+			let rest;
+
+			if (character === '\\') {
+				index += 2;
+				continue;
+			}
+
+			if (character === '[') {
+				// skip the character class, whose quantifier applies to a single character
+				index += 1;
+				while (index < pattern.length && pattern.charAt(index) !== ']') {
+					index += pattern.charAt(index) === '\\' ? 2 : 1;
+				}
+				index += 1;
+				continue;
+			}
+
+			if (character === '(') {
+				groups.push({'ambiguous': false});
+				// skip the modifier of non-capturing groups and lookarounds, e.g. "(?:"
+				index += pattern.charAt(index + 1) === '?' ? 3 : 1;
+				continue;
+			}
+
+			if (character === ')') {
+				let closed = groups.pop();
+				rest = pattern.slice(index + 1);
+				if (repeats.test(rest)) {
+					if (closed.ambiguous) {
+						return false;
+					}
+					closed.ambiguous = true;
+				}
+				groups[groups.length - 1].ambiguous = groups[groups.length - 1].ambiguous || closed.ambiguous;
+				index += 1;
+				continue;
+			}
+
+			rest = pattern.slice(index);
+			if (character === '|' || quantifier.test(rest)) {
+				group.ambiguous = true;
+			}
+			index += 1;
+		}
+
+		return true;
+	}
+
+	/**
+	 * Determines whether any of the values of a field match the value or operator expression
+	 * of a condition.
+	 * @private
+	 * @param {Array} values Values of the field, see resolve.
+	 * @param {*} condition Value or operator expression of the condition.
+	 * @returns {boolean}
+	 */
+	static matchValues (values, condition) {
+		var equals = (a, b) => _.isEqual(this.comparable(a), this.comparable(b));
+		var compare = (operand, fn) => values.some((value) => {
+			var a = this.comparable(value);
+			var b = this.comparable(operand);
+			return typeof a === typeof b && a !== null && fn(a, b);
+		});
+		var arrays = values.filter((value) => value instanceof Array);
+
+		if (!_.isPlainObject(condition) || !Object.keys(condition).some((key) => key.charAt(0) === '$')) {
+			return condition === null ? values.length === 0 || values.some((value) => value === null)
+				: values.some((value) => equals(value, condition));
+		}
+
+		return Object.keys(condition).every((operator) => {
+			var operand = condition[operator];
+			switch (operator) {
+				case '$eq':
+					return this.matchValues(values, operand);
+				case '$ne':
+					return !this.matchValues(values, operand);
+				case '$gt':
+					return compare(operand, (a, b) => a > b);
+				case '$gte':
+					return compare(operand, (a, b) => a >= b);
+				case '$lt':
+					return compare(operand, (a, b) => a < b);
+				case '$lte':
+					return compare(operand, (a, b) => a <= b);
+				case '$in':
+					return operand.some((item) => this.matchValues(values, item));
+				case '$nin':
+					return !operand.some((item) => this.matchValues(values, item));
+				case '$exists':
+					return (values.length > 0) === !!operand;
+				case '$type': {
+					let type = String(operand).toLowerCase();
+					if (['double', 'int', 'long', 'decimal'].indexOf(type) !== -1) {
+						type = 'number';
+					}
+
+					return values.some((value) => this.typeOf(value) === type);
+				}
+				case '$all':
+					return arrays.some((array) => operand.every((item) => array.some((value) => equals(value, item))));
+				case '$size':
+					return arrays.some((array) => array.length === operand);
+				case '$elemMatch':
+					return arrays.some((array) => array.some((item) => {
+						if (Object.keys(operand).some((key) => this.fieldOperators.indexOf(key) !== -1)) {
+							return this.matchValues([item], operand);
+						}
+
+						return _.isPlainObject(item) && this.match(item, operand);
+					}));
+				case '$mod':
+					return values.some((value) => typeof value === 'number' && value % operand[0] === operand[1]);
+				case '$not':
+					return !this.matchValues(values, operand);
+				case '$regex': {
+					let regex = new RegExp(operand, condition.$options || '');
+					return values.some((value) => typeof value === 'string' && regex.test(value));
+				}
+				case '$options':
+					return true;
+				default:
+					return false;
+			}
+		});
+	}
+
+	/**
+	 * Resolves the values of a dotted field path within a document.  As in Mongo queries, arrays
+	 * along the path are traversed and an array value matches both as a whole and by its elements.
+	 * @private
+	 * @param {*} value Document or value being resolved.
+	 * @param {string} path Dotted path of the field.
+	 * @returns {Array} Values of the field, empty when the field does not exist.
+	 */
+	static resolve (value, path) {
+		var parts = typeof path === 'string' ? path.split('.') : path;
+		if (parts.length === 0) {
+			return value instanceof Array ? [value].concat(value) : [value];
+		}
+
+		if (value instanceof Array) {
+			if (/^\d+$/.test(parts[0])) {
+				return value.length > parts[0] ? this.resolve(value[parts[0]], parts.slice(1)) : [];
+			}
+
+			return _.flatten(value.map((item) => this.resolve(item, parts)));
+		}
+
+		if (!_.isObject(value) || value[parts[0]] === undefined) {
+			return [];
+		}
+
+		return this.resolve(value[parts[0]], parts.slice(1));
+	}
+
+	/**
+	 * Converts ObjectIds and dates into values which can be compared.
+	 * @private
+	 * @param {*} value Value being converted.
+	 * @returns {*}
+	 */
+	static comparable (value) {
+		if (value && value._bsontype === 'ObjectID') {
+			return value.toString();
+		}
+
+		if (value instanceof Date) {
+			return value.getTime();
+		}
+
+		return value;
+	}
+
+	/**
+	 * Determines the BSON type alias of a value.
+	 * @private
+	 * @param {*} value
+	 * @returns {string}
+	 */
+	static typeOf (value) {
+		if (value === null) {
+			return 'null';
+		}
+
+		if (value && value._bsontype === 'ObjectID') {
+			return 'objectid';
+		}
+
+		if (value instanceof Date) {
+			return 'date';
+		}
+
+		if (value instanceof Array) {
+			return 'array';
+		}
+
+		if (typeof value === 'boolean') {
+			return 'bool';
+		}
+
+		return typeof value === 'number' ? 'number' : typeof value;
+	}
+
+	/**
+	 * Adds an error to the query context.
+	 * @private
+	 * @param {object} context Definition, readable fields, and errors of the query.
+	 * @param {string} location Location within the query.
+	 * @param {string} message Description of the error.
+	 */
+	static error (context, location, message) {
+		context.errors.push({
+			'field': location,
+			'message': message
+		});
+	}
+
+	/**
+	 * Rejects with an invalid query error.
+	 * @private
+	 * @param {object[]} errors Array of errors.
+	 * @returns {Promise}
+	 */
+	static reject (errors) {
+		return Promise.reject({
+			'message': constants.ERROR.INVALID_QUERY,
+			'errors': errors
+		});
+	}
+};
\ No newline at end of file
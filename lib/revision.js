@@ -0,0 +1,285 @@
+'use strict';
+
+const _ = require('lodash');
+const Acl = require('./acl');
+const Tenant = require('./tenant');
+const constants = require('./constants');
+
+var indexes = {};
+
+/**
+ * Revision history of documents in collections with "revisions" enabled.  A revision holds the
+ * version of a document that was replaced by an update or removed by a delete, along with who
+ * replaced it and when.
+ * @type {Revision}
+ */
+module.exports = class Revision {
+	/**
+	 * Fields of a document maintained by the server, which are not restored from a revision.
+	 * @private
+	 * @returns {string[]} Array of field names.
+	 */
+	static get systemFields () {
+		return ['_id', '_created', '_createdBy', '_modified', '_modifiedBy', '_deleted', '_deletedBy'];
+	}
+
+	/**
+	 * Records a revision of a document.  Does not perform ACLs.
+	 * @param {string} collectionName Name of the collection.
+	 * @param {object} user User replacing the document.  Typically the logged in user.
+	 * @param {object} data Version of the document being replaced.
+	 * @param {string} action Name of the action replacing the document.
+	 * @param {string} [tenant] Tenant of the collection.
+	 * @returns {Promise}
+	 */
+	static save (collectionName, user, data, action, tenant) {
+		return this.createIndex(tenant).then(() => {
+			return this.insert(collectionName, user, data, action, tenant, this.maxAttempts);
+		});
+	}
+
+	/**
+	 * Maximum number of attempts to number a revision.
+	 * @private
+	 * @returns {number}
+	 */
+	static get maxAttempts () {
+		return 5;
+	}
+
+	/**
+	 * Inserts a revision numbered after the latest revision of the document.  Revisions saved
+	 * concurrently may get the same number, which the unique index rejects, so the insert is
+	 * retried with the next number.
+	 * @private
+	 * @param {string} collectionName Name of the collection.
+	 * @param {object} user User replacing the document.
+	 * @param {object} data Version of the document being replaced.
+	 * @param {string} action Name of the action replacing the document.
+	 * @param {string} [tenant] Tenant of the collection.
+	 * @param {number} attempts Number of attempts left.
+	 * @returns {Promise}
+	 */
+	static insert (collectionName, user, data, action, tenant, attempts) {
+		return new Promise((resolve, reject) => {
+			var revisions = Tenant.db(tenant).collection(constants.COLLECTION.REVISIONS);
+			revisions.find({
+				'collection': collectionName,
+				'documentId': data._id
+			}).sort({'revision': -1}).limit(1, (error, latest) => {
+				if (error) {
+					return reject(error);
+				}
+
+				revisions.insert({
+					'collection': collectionName,
+					'documentId': data._id,
+					'revision': latest.length > 0 ? latest[0].revision + 1 : 1,
+					'action': action,
+					'data': data,
+					'_created': new Date(),
+					'_createdBy': user && user._id ? user._id.toString() : 'anonymous'
+				}, (error, revision) => {
+					if (error && error.code === 11000 && attempts > 1) {
+						return this.insert(collectionName, user, data, action, tenant, attempts - 1).then(resolve, reject);
+					}
+
+					if (error) {
+						return reject(error);
+					}
+
+					resolve(revision);
+				});
+			});
+		});
+	}
+
+	/**
+	 * Creates the unique index of revision numbers, once for each tenant.  Failing to create it,
+	 * for instance because of duplicates recorded before it existed, is logged and revisions are
+	 * still recorded.
+	 * @private
+	 * @param {string} [tenant] Tenant of the revisions.
+	 * @returns {Promise}
+	 */
+	static createIndex (tenant) {
+		var key = tenant || '';
+		if (!indexes[key]) {
+			indexes[key] = new Promise((resolve) => {
+				Tenant.db(tenant).collection(constants.COLLECTION.REVISIONS).createIndex({
+					'collection': 1,
+					'documentId': 1,
+					'revision': 1
+				}, {'unique': true}, (error) => {
+					if (error) {
+						console.error(error);
+					}
+
+					resolve();
+				});
+			});
+		}
+
+		return indexes[key];
+	}
+
+	/**
+	 * Retrieves the revisions of a document the user can read, newest first.
+	 * @param {string} collectionName Name of the collection.
+	 * @param {object} user User being checked for access.  Typically the logged in user.
+	 * @param {ObjectId} id Id of the document.
+	 * @param {number} [revision] Only retrieve the specified revision.
+	 * @param {string} [tenant] Tenant of the collection.
+	 * @returns {Promise}
+	 */
+	static find (collectionName, user, id, revision, tenant) {
+		return Acl.permit(collectionName, constants.ACTION.READ, user, {}, undefined, tenant).then((query) => {
+			return new Promise((resolve, reject) => {
+				var revisionQuery = Object.assign(this.prefixQuery(query, 'data.'), {
+					'collection': collectionName,
+					'documentId': id
+				});
+
+				if (revision !== undefined) {
+					revisionQuery.revision = revision;
+				}
+
+				Tenant.db(tenant).collection(constants.COLLECTION.REVISIONS).find(revisionQuery).sort({'revision': -1}, (error, revisions) => {
+					if (error) {
+						return reject(error);
+					}
+
+					Promise.all(revisions.map((revision) => {
+						return Acl.sanitize(collectionName, constants.ACTION.READ, user, revision.data, tenant).then((data) => {
+							return {
+								'revision': revision.revision,
+								'action': revision.action,
+								'data': data,
+								'_created': revision._created,
+								'_createdBy': revision._createdBy
+							};
+						});
+					})).then(resolve, reject);
+				});
+			});
+		});
+	}
+
+	/**
+	 * Retrieves a single revision of a document the user can read.
+	 * @param {string} collectionName Name of the collection.
+	 * @param {object} user User being checked for access.  Typically the logged in user.
+	 * @param {ObjectId} id Id of the document.
+	 * @param {number} revision Number of the revision.
+	 * @param {string} [tenant] Tenant of the collection.
+	 * @returns {Promise}
+	 */
+	static findOne (collectionName, user, id, revision, tenant) {
+		return this.find(collectionName, user, id, revision, tenant).then((revisions) => {
+			if (revisions.length === 0) {
+				return Promise.reject(constants.ERROR.NOT_FOUND);
+			}
+
+			return revisions[0];
+		});
+	}
+
+	/**
+	 * Compares two revisions of a document the user can read.
+	 * @param {string} collectionName Name of the collection.
+	 * @param {object} user User being checked for access.  Typically the logged in user.
+	 * @param {ObjectId} id Id of the document.
+	 * @param {number} from Number of the revision being compared.
+	 * @param {number} [to] Number of the revision being compared to, defaults to the current document.
+	 * @param {object} [context] Tenant, session id, and IP address of the request.
+	 * @returns {Promise} Resolves with the "added", "removed", and "changed" fields.
+	 */
+	static diff (collectionName, user, id, from, to, context) {
+		const Data = require('./data'); // require 'Data' here to prevent issue with circular dependency
+		var tenant = context ? context.tenant : undefined;
+		var errors = [];
+		if (!Number.isInteger(from)) {
+			errors.push({'field': 'from', 'message': 'must be a revision number'});
+		}
+
+		if (to !== undefined && !Number.isInteger(to)) {
+			errors.push({'field': 'to', 'message': 'must be a revision number'});
+		}
+
+		if (errors.length > 0) {
+			return Promise.reject({
+				'message': constants.ERROR.INVALID_QUERY,
+				'errors': errors
+			});
+		}
+
+		return Promise.all([
+			this.findOne(collectionName, user, id, from, tenant),
+			to === undefined ? Data.collection(collectionName, user, context).findOne({'_id': id}).then((data) => {
+				return {data};
+			}) : this.findOne(collectionName, user, id, to, tenant)
+		]).then((revisions) => {
+			var [a, b] = revisions.map((revision) => revision.data || {});
+			var diff = {
+				'from': from,
+				'to': to === undefined ? null : to,
+				'added': {},
+				'removed': {},
+				'changed': {}
+			};
+
+			_.union(Object.keys(a), Object.keys(b)).forEach((field) => {
+				if (!(field in a)) {
+					diff.added[field] = b[field];
+				} else if (!(field in b)) {
+					diff.removed[field] = a[field];
+				} else if (!_.isEqual(a[field], b[field])) {
+					diff.changed[field] = {
+						'from': a[field],
+						'to': b[field]
+					};
+				}
+			});
+
+			return diff;
+		});
+	}
+
+	/**
+	 * Restores a document to a revision the user can read.  The document is updated, so the
+	 * update ACLs, events, and validation of the collection apply and a new revision is recorded.
+	 * @param {string} collectionName Name of the collection.
+	 * @param {object} user User being checked for access.  Typically the logged in user.
+	 * @param {ObjectId} id Id of the document.
+	 * @param {number} revision Number of the revision.
+	 * @param {object} [context] Tenant, session id, and IP address of the request.
+	 * @returns {Promise}
+	 */
+	static restore (collectionName, user, id, revision, context) {
+		const Data = require('./data'); // require 'Data' here to prevent issue with circular dependency
+		return this.findOne(collectionName, user, id, revision, context ? context.tenant : undefined).then((revision) => {
+			return Data.collection(collectionName, user, context).update({'_id': id}, _.omit(revision.data, this.systemFields));
+		});
+	}
+
+	/**
+	 * Prefixes the fields of a query so it can be applied to the data of revisions.
+	 * @private
+	 * @param {object} query Query permitted for the collection.
+	 * @param {string} prefix Prefix of the fields.
+	 * @returns {object} Prefixed query.
+	 */
+	static prefixQuery (query, prefix) {
+		var prefixed = {};
+		Object.keys(query).forEach((key) => {
+			if (key.charAt(0) !== '$') {
+				prefixed[prefix + key] = query[key];
+			} else if (query[key] instanceof Array) {
+				prefixed[key] = query[key].map((condition) => this.prefixQuery(condition, prefix));
+			} else {
+				prefixed[key] = query[key];
+			}
+		});
+		return prefixed;
+	}
+};
\ No newline at end of file
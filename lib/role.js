@@ -0,0 +1,184 @@
+'use strict';
+
+const _ = require('lodash');
+const Tenant = require('./tenant');
+const constants = require('./constants');
+
+const cache = new Map();
+
+/**
+ * Roles of users.  Roles are documents of the roles collection and may declare "parents", the
+ * names of roles whose permissions they inherit.
+ * @type {Role}
+ */
+module.exports = class Role {
+	/**
+	 * Resolves the names of roles including the roles they inherit from, directly or through
+	 * their parents.
+	 * @param {string[]} names Names of the roles.
+	 * @param {string} [tenant] Tenant of the roles.
+	 * @returns {Promise} Resolves with an array of role names.
+	 */
+	static resolve (names, tenant) {
+		if (!(names instanceof Array) || names.length === 0) {
+			return Promise.resolve([]);
+		}
+
+		return this.load(tenant).then((roles) => {
+			var resolved = [];
+			var visit = (name) => {
+				// roles are only visited once, so cycles of parents are harmless
+				if (resolved.indexOf(name) !== -1) {
+					return;
+				}
+
+				resolved.push(name);
+				var role = roles[name];
+				if (role && role.parents instanceof Array) {
+					role.parents.forEach(visit);
+				}
+			};
+
+			names.forEach(visit);
+			return resolved;
+		});
+	}
+
+	/**
+	 * Creates a copy of a user with the inherited roles added to its roles.
+	 * @param {object} [user] User whose roles are resolved.
+	 * @param {string} [tenant] Tenant of the roles.
+	 * @returns {Promise} Resolves with the copy, or the user when it has no roles.
+	 */
+	static resolveUser (user, tenant) {
+		if (!user || !(user.roles instanceof Array) || user.roles.length === 0) {
+			return Promise.resolve(user);
+		}
+
+		return this.resolve(user.roles, tenant).then((roles) => {
+			return Object.assign({}, user, {'roles': roles});
+		});
+	}
+
+	/**
+	 * Determines whether a user has a role, directly or inherited.
+	 * @param {object} [user] User being checked.
+	 * @param {string} name Name of the role.
+	 * @param {string} [tenant] Tenant of the roles.
+	 * @returns {Promise} Resolves with a boolean.
+	 */
+	static has (user, name, tenant) {
+		return this.resolveUser(user, tenant).then((user) => {
+			return !!user && user.roles instanceof Array && user.roles.indexOf(name) !== -1;
+		});
+	}
+
+	/**
+	 * Ensures roles exist before they are assigned to users.
+	 * @param {string[]} names Names of the roles.
+	 * @param {string} [tenant] Tenant of the roles.
+	 * @returns {Promise} Resolves with the names or rejects when a role is unknown.
+	 */
+	static validate (names, tenant) {
+		if (!(names instanceof Array)) {
+			return Promise.reject(constants.ERROR.UNKNOWN_ROLE);
+		}
+
+		return this.load(tenant).then((roles) => {
+			var known = names.every((name) => typeof name === 'string' && !!roles[name]);
+			return known ? names : Promise.reject(constants.ERROR.UNKNOWN_ROLE);
+		});
+	}
+
+	/**
+	 * Ensures the roles assigned to a user being created or updated exist.
+	 * @param {object} data Data of the user.
+	 * @param {boolean} [isOperators] Data is a map of update operators.
+	 * @param {string} [tenant] Tenant of the roles.
+	 * @returns {Promise} Resolves with the data or rejects when a role is unknown.
+	 */
+	static validateAssigned (data, isOperators, tenant) {
+		var assigned = [];
+		if (!isOperators) {
+			assigned = data.roles;
+		} else {
+			['$set', '$push', '$addToSet'].forEach((operator) => {
+				Object.keys(data[operator] || {}).forEach((path) => {
+					if (path.split('.')[0] !== 'roles') {
+						return;
+					}
+
+					var value = data[operator][path];
+					assigned = assigned.concat(_.isPlainObject(value) && value.$each ? value.$each : value);
+				});
+			});
+		}
+
+		if (assigned === undefined || assigned === null) {
+			return Promise.resolve(data);
+		}
+
+		return this.validate(assigned instanceof Array ? assigned : [assigned], tenant).then(() => data);
+	}
+
+	/**
+	 * Discards the cached roles of a tenant, such as when the roles collection is written to.
+	 * @param {string} [tenant] Tenant of the roles.
+	 */
+	static invalidate (tenant) {
+		cache.delete(tenant || '');
+	}
+
+	/**
+	 * Retrieves the roles by their names.  Roles are needed for every ACL check, so they are cached
+	 * until they are invalidated, or for a minute in case they are changed by another server.
+	 * @private
+	 * @param {string} [tenant] Tenant of the roles.
+	 * @returns {Promise} Resolves with a map of role names to roles.
+	 */
+	static load (tenant) {
+		var key = tenant || '';
+		var cached = cache.get(key);
+		if (cached && cached.expires > Date.now()) {
+			return cached.roles;
+		}
+
+		var roles = new Promise((resolve, reject) => {
+			Tenant.db(tenant).collection(constants.COLLECTION.ROLES).find({}, {
+				'name': 1,
+				'parents': 1
+			}, (error, roles) => {
+				if (error) {
+					return reject(error);
+				}
+
+				// without a prototype, names such as "constructor" are not mistaken for roles
+				var map = Object.create(null);
+				roles.forEach((role) => {
+					map[role.name] = role;
+				});
+
+				resolve(map);
+			});
+		});
+
+		// failed loads are not cached
+		roles.catch(() => {
+			if (cache.get(key) && cache.get(key).roles === roles) {
+				cache.delete(key);
+			}
+		});
+
+		cache.set(key, {roles, 'expires': Date.now() + this.cacheTimeout});
+		return roles;
+	}
+
+	/**
+	 * Milliseconds roles are cached for.
+	 * @private
+	 * @returns {number}
+	 */
+	static get cacheTimeout () {
+		return 60000;
+	}
+};
\ No newline at end of file
@@ -0,0 +1,186 @@
+'use strict';
+
+const async = require('async');
+const Cron = require('./cron');
+const Event = require('./event');
+const Tenant = require('./tenant');
+const constants = require('./constants');
+
+/**
+ * Runs the scripts of schedules when their cron expression matches.  Each run of a schedule
+ * is locked in the database so that only one server runs it, and recorded with its output.
+ * @type {Schedule}
+ */
+module.exports = class Schedule {
+	/**
+	 * Milliseconds a run may hold the lock of a schedule.
+	 * @private
+	 * @returns {number}
+	 */
+	static get lockTimeout () {
+		return 5 * 60 * 1000;
+	}
+
+	/**
+	 * Validates the cron expression and time zone of a schedule being created or updated, as a
+	 * schedule with an invalid one would never run.
+	 * @param {object} data Data of the schedule.
+	 * @param {boolean} [isOperators] Data is a map of update operators.
+	 * @returns {Promise} Resolves with the data or rejects with a validation error.
+	 */
+	static validate (data, isOperators) {
+		var values = isOperators ? data.$set || {} : data;
+		var errors = [];
+
+		if (values.cron !== undefined && values.cron !== null && !Cron.parse(values.cron)) {
+			errors.push({
+				'field': 'cron',
+				'message': 'must be a valid cron expression'
+			});
+		}
+
+		if (values.timezone !== undefined && values.timezone !== null && !Cron.isValidTimezone(values.timezone)) {
+			errors.push({
+				'field': 'timezone',
+				'message': 'must be a valid IANA time zone'
+			});
+		}
+
+		if (errors.length > 0) {
+			return Promise.reject({
+				'message': constants.ERROR.VALIDATION_FAILED,
+				'errors': errors
+			});
+		}
+
+		return Promise.resolve(data);
+	}
+
+	/**
+	 * Runs the enabled schedules which are due at the current minute and have not run yet.
+	 * @param {Date} [now] Current date.
+	 * @param {string} [tenant] Tenant of the schedules.
+	 * @returns {Promise}
+	 */
+	static tick (now, tenant) {
+		now = now || new Date();
+		var minute = new Date(Math.floor(now.getTime() / 60000) * 60000);
+
+		return new Promise((resolve, reject) => {
+			Tenant.db(tenant).collection(constants.COLLECTION.SCHEDULES).find({
+				'enabled': {'$ne': false}
+			}, (error, schedules) => {
+				if (error) {
+					return reject(error);
+				}
+
+				async.each(schedules, (schedule, done) => {
+					try {
+						if (!Cron.matches(schedule.cron, minute, schedule.timezone)) {
+							return done();
+						}
+					} catch (error) {
+						console.error('Invalid time zone ' + schedule.timezone + ' of schedule ' + schedule._id);
+						return done();
+					}
+
+					this.lock(schedule, minute, tenant).then((schedule) => {
+						return schedule ? this.run(schedule, tenant) : null;
+					}).then(() => done(), done);
+				}, (error) => {
+					if (error) {
+						return reject(error);
+					}
+
+					resolve();
+				});
+			});
+		});
+	}
+
+	/**
+	 * Locks a schedule for a run at the specified minute.  The lock is not granted when the schedule
+	 * already ran at that minute or another run still holds the lock.
+	 * @private
+	 * @param {object} schedule Schedule being locked.
+	 * @param {Date} minute Minute of the run.
+	 * @param {string} [tenant] Tenant of the schedule.
+	 * @returns {Promise} Resolves with the locked schedule or null when the lock is not granted.
+	 */
+	static lock (schedule, minute, tenant) {
+		return new Promise((resolve, reject) => {
+			var now = new Date();
+			Tenant.db(tenant).collection(constants.COLLECTION.SCHEDULES).findAndModify({
+				'query': {
+					'_id': schedule._id,
+					'$and': [
+						{'$or': [{'lastRunAt': null}, {'lastRunAt': {'$lt': minute}}]},
+						{'$or': [{'lockedUntil': null}, {'lockedUntil': {'$lt': now}}]}
+					]
+				},
+				'update': {
+					'$set': {
+						'lastRunAt': minute,
+						'lockedUntil': new Date(now.getTime() + this.lockTimeout)
+					}
+				},
+				'new': true
+			}, (error, schedule) => {
+				if (error) {
+					return reject(error);
+				}
+
+				resolve(schedule);
+			});
+		});
+	}
+
+	/**
+	 * Runs the script of a locked schedule, records the run, and releases the lock.
+	 * @private
+	 * @param {object} schedule Schedule being run.
+	 * @param {string} [tenant] Tenant of the schedule.
+	 * @returns {Promise} Resolves with the run.
+	 */
+	static run (schedule, tenant) {
+		var output = [];
+		var run = {
+			'schedule': schedule._id,
+			'name': schedule.name,
+			'startedAt': new Date()
+		};
+
+		return Event.execute(schedule, {'console': Event.createConsole(output)}, tenant).then(() => {
+			run.status = 'succeeded';
+		}, (error) => {
+			run.status = 'failed';
+			run.error = error && error.stack ? error.message : error;
+		}).then(() => {
+			run.output = output;
+			run.finishedAt = new Date();
+			run._created = new Date();
+			run._modified = new Date();
+
+			return new Promise((resolve, reject) => {
+				var database = Tenant.db(tenant);
+				database.collection(constants.COLLECTION.SCHEDULE_RUNS).insert(run, (error, run) => {
+					if (error) {
+						return reject(error);
+					}
+
+					database.collection(constants.COLLECTION.SCHEDULES).update({
+						'_id': schedule._id
+					}, {
+						'$set': {'lockedUntil': null}
+					}, (error) => {
+						if (error) {
+							return reject(error);
+						}
+
+						resolve(run);
+					});
+				});
+			});
+		});
+	}
+};
\ No newline at end of file
@@ -0,0 +1,379 @@
+'use strict';
+
+const _ = require('lodash');
+const Tenant = require('./tenant');
+const constants = require('./constants');
+
+/**
+ * Validates documents against the definition of their collection.
+ *
+ * A definition maps field names to a field definition which is one of:
+ *  - a type name, e.g. "String"
+ *  - an array, e.g. [] for an array of anything or ["String"] for an array of strings
+ *  - an object with a "type" key and optional rules, e.g. {"type": "Number", "min": 0}
+ *  - a reference to a document of another collection, e.g. {"type": "Ref", "collection": "users"}
+ *  - an object without a "type" key, which is treated as a nested definition
+ *
+ * Supported rules are "required", "enum", "min", "max" (numbers and dates),
+ * "minLength", "maxLength" (strings and arrays), and "pattern" (strings).
+ * @type {Schema}
+ */
+module.exports = class Schema {
+	/**
+	 * A set of supported types.
+	 * @private
+	 * @returns {string[]} Array of lower cased type names.
+	 */
+	static get types () {
+		return ['string', 'number', 'boolean', 'date', 'objectid', 'ref', 'array', 'object', 'mixed'];
+	}
+
+	/**
+	 * Validates data against the definition of the specified collection.  Rejects with
+	 * a validation error containing a list of field errors when the data is invalid.
+	 * @param {string} collectionName Name of the collection.
+	 * @param {object} data Data being validated.
+	 * @param {boolean} [partial] Data is a partial update; missing required fields are ignored.
+	 * @param {string} [tenant] Tenant of the collection.
+	 * @returns {Promise}
+	 */
+	static validate (collectionName, data, partial, tenant) {
+		return this.getDefinition(collectionName, tenant).then((definition) => {
+			if (!definition) {
+				return data;
+			}
+
+			return this.resolveOrReject(data, this.validateDefinition(definition, data, partial));
+		});
+	}
+
+	/**
+	 * Validates the update operators of a patch against the definition of the specified
+	 * collection.  Rejects with a validation error containing a list of field errors when
+	 * an operator would leave the document invalid.
+	 * @param {string} collectionName Name of the collection.
+	 * @param {object} operators Map of update operators to their field paths and values.
+	 * @param {string} [tenant] Tenant of the collection.
+	 * @returns {Promise}
+	 */
+	static validateOperators (collectionName, operators, tenant) {
+		return this.getDefinition(collectionName, tenant).then((definition) => {
+			if (!definition) {
+				return operators;
+			}
+
+			var errors = [];
+			Object.keys(operators).forEach((operator) => {
+				var values = operators[operator];
+				if (operator === '$set') {
+					errors = errors.concat(this.validateDefinition(definition, values, true));
+					return;
+				}
+
+				Object.keys(values).forEach((path) => {
+					var field = this.getField(definition, path);
+					if (!field || field.type === 'mixed') {
+						return;
+					}
+
+					var error = (message) => {
+						errors.push({
+							'field': path,
+							'message': message
+						});
+					};
+
+					switch (operator) {
+						case '$inc':
+							if (field.type !== 'number' || typeof values[path] !== 'number') {
+								error('must be of type Number');
+							}
+							break;
+						case '$push':
+						case '$addToSet':
+							if (field.type !== 'array') {
+								error('must be of type Array');
+							} else if (field.items) {
+								let items = _.isPlainObject(values[path]) && values[path].$each instanceof Array ? values[path].$each : [values[path]];
+								items.forEach((item) => {
+									errors = errors.concat(this.validateField(field.items, item, path));
+								});
+							}
+							break;
+						case '$unset':
+							if (field.required) {
+								error('is required');
+							}
+							break;
+					}
+				});
+			});
+
+			return this.resolveOrReject(operators, errors);
+		});
+	}
+
+	/**
+	 * Retrieves the definition of the specified collection.
+	 * @param {string} collectionName Name of the collection.
+	 * @param {string} [tenant] Tenant of the collection.
+	 * @returns {Promise} Resolves with the definition or undefined when the collection has none.
+	 */
+	static getDefinition (collectionName, tenant) {
+		return new Promise((resolve, reject) => {
+			Tenant.db(tenant).collection(constants.COLLECTION.COLLECTIONS).findOne({
+				'name': collectionName
+			}, (error, collection) => {
+				if (error) {
+					return reject(error);
+				}
+
+				if (!collection) {
+					return reject(constants.ERROR.NOT_FOUND);
+				}
+
+				resolve(collection.definition);
+			});
+		});
+	}
+
+	/**
+	 * Resolves with the data when there are no errors, otherwise rejects with a validation error.
+	 * @private
+	 * @param {object} data Data that was validated.
+	 * @param {object[]} errors Array of field errors.
+	 * @returns {Promise}
+	 */
+	static resolveOrReject (data, errors) {
+		if (errors.length > 0) {
+			return Promise.reject({
+				'message': constants.ERROR.VALIDATION_FAILED,
+				'errors': errors
+			});
+		}
+
+		return Promise.resolve(data);
+	}
+
+	/**
+	 * Validates data against a definition.
+	 * @param {object} definition Map of field names to field definitions.
+	 * @param {object} data Data being validated.
+	 * @param {boolean} [partial] Data is a partial update; missing required fields are ignored
+	 * and dotted field paths are resolved against nested definitions.
+	 * @param {string} [path] Path of the data within the root document.
+	 * @returns {object[]} Array of field errors.
+	 */
+	static validateDefinition (definition, data, partial, path) {
+		var errors = [];
+
+		if (!_.isPlainObject(data)) {
+			return [{
+				'field': path || '',
+				'message': 'must be an Object'
+			}];
+		}
+
+		if (partial) {
+			Object.keys(data).forEach((name) => {
+				var field = this.getField(definition, name);
+				if (field) {
+					errors = errors.concat(this.validateField(field, data[name], this.join(path, name)));
+				}
+			});
+			return errors;
+		}
+
+		Object.keys(definition).forEach((name) => {
+			errors = errors.concat(this.validateField(this.normalize(definition[name]), data[name], this.join(path, name)));
+		});
+		return errors;
+	}
+
+	/**
+	 * Validates a single value against a field definition.
+	 * @private
+	 * @param {object} field Normalized field definition.
+	 * @param {*} value Value being validated.
+	 * @param {string} path Path of the value within the root document.
+	 * @returns {object[]} Array of field errors.
+	 */
+	static validateField (field, value, path) {
+		var error = (message) => {
+			return [{
+				'field': path,
+				'message': message
+			}];
+		};
+
+		if (value === undefined || value === null) {
+			return field.required ? error('is required') : [];
+		}
+
+		if (!this.isType(field.type, value)) {
+			return error('must be of type ' + field.typeName);
+		}
+
+		if (field.enum instanceof Array && !field.enum.some((item) => _.isEqual(item, value))) {
+			return error('must be one of ' + field.enum.join(', '));
+		}
+
+		if (field.type === 'number' || field.type === 'date') {
+			let comparable = field.type === 'date' ? new Date(value).getTime() : value;
+			if (field.min !== undefined && comparable < (field.type === 'date' ? new Date(field.min).getTime() : field.min)) {
+				return error('must be greater than or equal to ' + field.min);
+			}
+
+			if (field.max !== undefined && comparable > (field.type === 'date' ? new Date(field.max).getTime() : field.max)) {
+				return error('must be less than or equal to ' + field.max);
+			}
+		}
+
+		if (field.type === 'string' || field.type === 'array') {
+			if (field.minLength !== undefined && value.length < field.minLength) {
+				return error('must have a length of at least ' + field.minLength);
+			}
+
+			if (field.maxLength !== undefined && value.length > field.maxLength) {
+				return error('must have a length of at most ' + field.maxLength);
+			}
+		}
+
+		if (field.type === 'string' && field.pattern) {
+			// a pattern that does not compile is reported rather than failing the request
+			let pattern;
+			try {
+				pattern = new RegExp(field.pattern);
+			} catch (exception) {
+				return error('has an invalid pattern ' + field.pattern + ' in its definition');
+			}
+
+			if (!pattern.test(value)) {
+				return error('must match the pattern ' + field.pattern);
+			}
+		}
+
+		if (field.type === 'object' && field.definition) {
+			return this.validateDefinition(field.definition, value, false, path);
+		}
+
+		if (field.type === 'array' && field.items) {
+			let errors = [];
+			value.forEach((item, index) => {
+				errors = errors.concat(this.validateField(field.items, item, this.join(path, index)));
+			});
+			return errors;
+		}
+
+		return [];
+	}
+
+	/**
+	 * Determines whether a value is of the specified type.
+	 * @private
+	 * @param {string} type Lower cased type name.
+	 * @param {*} value Value being checked.
+	 * @returns {boolean}
+	 */
+	static isType (type, value) {
+		switch (type) {
+			case 'string':
+				return typeof value === 'string';
+			case 'number':
+				return typeof value === 'number' && !isNaN(value);
+			case 'boolean':
+				return typeof value === 'boolean';
+			case 'date':
+				return (value instanceof Date || typeof value === 'string' || typeof value === 'number') &&
+					!isNaN(new Date(value).getTime());
+			case 'objectid':
+			case 'ref':
+				return value._bsontype === 'ObjectID' || (typeof value === 'string' && /^[0-9a-fA-F]{24}$/.test(value));
+			case 'array':
+				return value instanceof Array;
+			case 'object':
+				return _.isPlainObject(value);
+			default:
+				return true;
+		}
+	}
+
+	/**
+	 * Normalizes the shorthand forms of a field definition.
+	 * @private
+	 * @param {string|Array|object} field Field definition.
+	 * @returns {object} Normalized field definition with a lower cased type.
+	 */
+	static normalize (field) {
+		if (typeof field === 'string' || field instanceof Array) {
+			field = {'type': field};
+		} else if (!_.isPlainObject(field)) {
+			field = {'type': 'Mixed'};
+		} else if (field.type === undefined) {
+			field = {'type': field};
+		}
+
+		var normalized = _.clone(field);
+		if (field.type instanceof Array) {
+			normalized.type = 'array';
+			normalized.typeName = 'Array';
+			if (field.type.length > 0) {
+				normalized.items = this.normalize(field.type[0]);
+			}
+		} else if (_.isPlainObject(field.type)) {
+			normalized.type = 'object';
+			normalized.typeName = 'Object';
+			if (Object.keys(field.type).length > 0) {
+				normalized.definition = field.type;
+			}
+		} else {
+			normalized.typeName = String(field.type);
+			normalized.type = normalized.typeName.toLowerCase();
+			if (this.types.indexOf(normalized.type) === -1) {
+				normalized.type = 'mixed';
+			}
+		}
+
+		return normalized;
+	}
+
+	/**
+	 * Resolves a field definition by name, following dotted paths into nested definitions
+	 * and arrays.  Arrays may be traversed with or without an index, as in Mongo queries.
+	 * @param {object} definition Map of field names to field definitions.
+	 * @param {string} name Name or dotted path of the field.
+	 * @returns {object|undefined} Normalized field definition or undefined when not defined.
+	 */
+	static getField (definition, name) {
+		var parts = String(name).split('.');
+		var field = {'type': 'object', 'definition': definition};
+
+		for (let i = 0; i < parts.length; i++) {
+			if (field.type === 'array' && field.items) {
+				field = field.items;
+				if (/^\d+$/.test(parts[i])) {
+					continue;
+				}
+			}
+
+			if (field.type !== 'object' || !field.definition || field.definition[parts[i]] === undefined) {
+				return undefined;
+			}
+
+			field = this.normalize(field.definition[parts[i]]);
+		}
+
+		return field;
+	}
+
+	/**
+	 * Joins a path and a field name.
+	 * @private
+	 * @param {string} [path] Parent path.
+	 * @param {string|number} name Field name or array index.
+	 * @returns {string}
+	 */
+	static join (path, name) {
+		return path ? path + '.' + name : String(name);
+	}
+};
\ No newline at end of file
@@ -0,0 +1,89 @@
+'use strict';
+
+const crypto = require('crypto');
+const db = require('./db');
+const constants = require('./constants');
+
+var secrets = {};
+
+/**
+ * Secrets of the server, such as those signing sessions and access tokens.  A secret is read from
+ * its environment variable or else generated once per install and stored in the secrets collection
+ * of the server's database, which is not served by the API, so that installs never share a secret.
+ * @type {Secret}
+ */
+module.exports = class Secret {
+	/**
+	 * Retrieves a secret, generating it when it does not exist yet.
+	 * @param {string} name Name of the secret.
+	 * @param {string} variable Name of the environment variable overriding the secret.
+	 * @returns {Promise} Resolves with the secret.
+	 */
+	static get (name, variable) {
+		if (process.env[variable]) {
+			return Promise.resolve(process.env[variable]);
+		}
+
+		if (!secrets[name]) {
+			secrets[name] = this.createIndex().then(() => this.generate(name, 2));
+
+			// secrets which could not be retrieved are retried by the next call
+			secrets[name].catch(() => {
+				delete secrets[name];
+			});
+		}
+
+		return secrets[name];
+	}
+
+	/**
+	 * Retrieves a secret, storing a random secret when it does not exist yet.
+	 * @private
+	 * @param {string} name Name of the secret.
+	 * @param {number} attempts Attempts left, servers starting at once may both insert the secret.
+	 * @returns {Promise} Resolves with the secret.
+	 */
+	static generate (name, attempts) {
+		return new Promise((resolve, reject) => {
+			db.collection(constants.COLLECTION.SECRETS).findAndModify({
+				'query': {'name': name},
+				'update': {
+					'$setOnInsert': {
+						'name': name,
+						'value': crypto.randomBytes(32).toString('hex'),
+						'_created': new Date()
+					}
+				},
+				'upsert': true,
+				'new': true
+			}, (error, secret) => {
+				if (error && error.code === 11000 && attempts > 1) {
+					return this.generate(name, attempts - 1).then(resolve, reject);
+				}
+
+				if (error) {
+					return reject(error);
+				}
+
+				resolve(secret.value);
+			});
+		});
+	}
+
+	/**
+	 * Creates the unique index of the names of secrets.
+	 * @private
+	 * @returns {Promise}
+	 */
+	static createIndex () {
+		return new Promise((resolve, reject) => {
+			db.collection(constants.COLLECTION.SECRETS).createIndex({'name': 1}, {'unique': true}, (error) => {
+				if (error) {
+					return reject(error);
+				}
+
+				resolve();
+			});
+		});
+	}
+};
\ No newline at end of file
@@ -2,6 +2,7 @@
 
 const fs = require('fs');
 const bower = require('bower');
+const clone = require('clone');
 const db = require('../lib/db');
 
 /**
@@ -21,17 +22,20 @@ module.exports = class Setup {
 
 	/**
 	 * Import json and js files from ../data
+	 * @param {object} [database] Database the files are imported into, defaults to the server's database.
 	 * @returns {Promise}
 	 */
-	static importFiles () {
+	static importFiles (database) {
+		database = database || db;
 		let fileNames = fs.readdirSync('./data');
 		let promises = [];
 
 		fileNames.forEach((fileName) => {
-			let data = require('../data/' + fileName);
+			// copy the data since required modules are cached and their ids are replaced below
+			let data = clone(require('../data/' + fileName));
 			let parts = fileName.split('.');
 			let collectionName = parts[0];
-			let collection = db.collection(collectionName);
+			let collection = database.collection(collectionName);
 
 			if (data instanceof Array) {
 				return promises.push(new Promise((resolve, reject) => {
@@ -0,0 +1,220 @@
+'use strict';
+
+const mongojs = require('mongojs');
+const db = require('./db');
+const Setup = require('./setup');
+const constants = require('./constants');
+
+var connections = {};
+
+/**
+ * Tenants hosted by the server.  Each tenant has its own database, named after the database of the
+ * server with the name of the tenant appended, holding its data and system collections such as
+ * collections, events, emails, and pages.  Tenants are listed in the tenants collection of the
+ * server's database along with the host names they are served at.  Requests without a tenant use
+ * the server's database.
+ * @type {Tenant}
+ */
+module.exports = class Tenant {
+	/**
+	 * Header selecting the tenant of a request.
+	 * @returns {string}
+	 */
+	static get header () {
+		return 'X-Backrest-Tenant';
+	}
+
+	/**
+	 * Gets the database of a tenant.
+	 * @param {string} [tenant] Name of the tenant.
+	 * @returns {object} Database of the tenant, or the server's database without a tenant.
+	 */
+	static db (tenant) {
+		if (!tenant) {
+			return db;
+		}
+
+		if (!connections[tenant]) {
+			connections[tenant] = mongojs(this.uri(tenant));
+		}
+
+		return connections[tenant];
+	}
+
+	/**
+	 * Determines whether a name may be used for a tenant.
+	 * @param {string} name Name of the tenant.
+	 * @returns {boolean}
+	 */
+	static isValidName (name) {
+		return typeof name === 'string' && /^[a-z0-9][a-z0-9-]*$/.test(name) && name.length <= 32;
+	}
+
+	/**
+	 * Resolves the tenant of a request from the tenant header, the host name of the request, or
+	 * the tenant of the user, in that order.
+	 * @param {object} request Request being served.
+	 * @returns {Promise} Resolves with the name of the tenant or undefined for the server's database.
+	 * Rejects when the header names an unknown tenant.
+	 */
+	static resolve (request) {
+		var name = request.get(this.header);
+		if (name) {
+			return this.find(name).then((tenant) => tenant ? tenant.name : Promise.reject(constants.ERROR.NOT_FOUND));
+		}
+
+		return new Promise((resolve, reject) => {
+			db.collection(constants.COLLECTION.TENANTS).findOne({
+				'hosts': String(request.hostname || '').toLowerCase()
+			}, (error, tenant) => {
+				if (error) {
+					return reject(error);
+				}
+
+				resolve(tenant ? tenant.name : request.user ? request.user.tenant : undefined);
+			});
+		});
+	}
+
+	/**
+	 * Retrieves a tenant by its name.
+	 * @param {string} name Name of the tenant.
+	 * @returns {Promise} Resolves with the tenant or null.
+	 */
+	static find (name) {
+		return new Promise((resolve, reject) => {
+			db.collection(constants.COLLECTION.TENANTS).findOne({'name': String(name)}, (error, tenant) => {
+				if (error) {
+					return reject(error);
+				}
+
+				resolve(tenant);
+			});
+		});
+	}
+
+	/**
+	 * Retrieves all tenants.
+	 * @returns {Promise} Resolves with an array of tenants.
+	 */
+	static all () {
+		return new Promise((resolve, reject) => {
+			db.collection(constants.COLLECTION.TENANTS).find({}).sort({'name': 1}, (error, tenants) => {
+				if (error) {
+					return reject(error);
+				}
+
+				resolve(tenants);
+			});
+		});
+	}
+
+	/**
+	 * Runs a function for the server's database and then for each tenant, one at a time.  Errors
+	 * are logged so that a failing tenant does not prevent the others from running.
+	 * @param {function} fn Function called with the name of the tenant, returning a promise.
+	 * @returns {Promise}
+	 */
+	static forEach (fn) {
+		var run = (tenant) => {
+			return Promise.resolve().then(() => fn(tenant)).catch((error) => {
+				console.error(tenant ? 'Tenant ' + tenant + ':' : 'Default tenant:', error);
+			});
+		};
+
+		return run(undefined).then(() => this.all()).then((tenants) => {
+			return tenants.reduce((previous, tenant) => {
+				return previous.then(() => run(tenant.name));
+			}, Promise.resolve());
+		});
+	}
+
+	/**
+	 * Creates a tenant and imports the files of ../data into its database.
+	 * @param {string} name Name of the tenant.
+	 * @param {string[]} [hosts] Host names the tenant is served at.
+	 * @param {object} [admin] User created as the confirmed admin of the tenant, with a hashed password.
+	 * @returns {Promise} Resolves with the tenant.  Rejects when the name is not valid or the name
+	 * or a host is used by another tenant.
+	 */
+	static provision (name, hosts, admin) {
+		hosts = hosts || [];
+		if (!this.isValidName(name) || !(hosts instanceof Array) || !hosts.every((host) => typeof host === 'string')) {
+			return Promise.reject(constants.ERROR.INVALID_TENANT);
+		}
+
+		hosts = hosts.map((host) => host.toLowerCase());
+
+		return new Promise((resolve, reject) => {
+			var tenants = db.collection(constants.COLLECTION.TENANTS);
+			tenants.findOne({
+				'$or': [{'name': name}, {'hosts': {'$in': hosts}}]
+			}, (error, existing) => {
+				if (error) {
+					return reject(error);
+				}
+
+				if (existing) {
+					return reject(constants.ERROR.TENANT_EXISTS);
+				}
+
+				tenants.insert({
+					'name': name,
+					'hosts': hosts,
+					'_created': new Date(),
+					'_modified': new Date()
+				}, (error, tenant) => {
+					if (error) {
+						return reject(error);
+					}
+
+					Setup.importFiles(this.db(name)).then(() => {
+						return admin ? this.createAdmin(name, admin) : null;
+					}).then(() => resolve(tenant), reject);
+				});
+			});
+		});
+	}
+
+	/**
+	 * Creates the admin of a new tenant.
+	 * @private
+	 * @param {string} tenant Name of the tenant.
+	 * @param {object} admin User being created.
+	 * @returns {Promise}
+	 */
+	static createAdmin (tenant, admin) {
+		return new Promise((resolve, reject) => {
+			this.db(tenant).collection(constants.COLLECTION.USERS).insert(Object.assign({}, admin, {
+				'roles': [constants.ROLE.ADMIN],
+				'isConfirmed': true,
+				'_created': new Date(),
+				'_modified': new Date()
+			}), (error) => {
+				if (error) {
+					return reject(error);
+				}
+
+				resolve();
+			});
+		});
+	}
+
+	/**
+	 * Builds the connection string of a tenant's database.
+	 * @private
+	 * @param {string} tenant Name of the tenant.
+	 * @returns {string}
+	 */
+	static uri (tenant) {
+		var uri = process.env.MONGODB_URI || 'mongodb://localhost:27017/backrest';
+		var start = uri.indexOf('/', uri.indexOf('://') + 3);
+		if (start === -1) {
+			return uri + '/backrest-' + tenant;
+		}
+
+		var end = uri.indexOf('?', start);
+		end = end === -1 ? uri.length : end;
+		return uri.substring(0, start) + '/' + (uri.substring(start + 1, end) || 'backrest') + '-' + tenant + uri.substring(end);
+	}
+};
\ No newline at end of file
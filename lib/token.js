@@ -44,6 +44,59 @@ module.exports = class Token {
 		return JSON.parse(token);
 	}
 
+	/**
+	 * Generates a signed token.  The data of a signed token is readable, but cannot be changed
+	 * without the password.
+	 * @param {number} timeout Number of minutes before the token is expired.
+	 * @param {string} password Password for signature.
+	 * @param {object} data Data to be signed.
+	 * @returns {string} Signed token.
+	 */
+	static sign (timeout, password, data) {
+		// determine expiration
+		var expiration = new Date();
+		expiration.setMinutes(expiration.getMinutes() + timeout);
+
+		var payload = Buffer.from(JSON.stringify({data, expiration})).toString('base64');
+		return payload + '.' + this.signature(password, payload);
+	}
+
+	/**
+	 * Verifies the signature of a signed token.
+	 * @param {string} password Password for signature.
+	 * @param {string} token The token string to verify.
+	 * @returns {object|null} The token containing the expiration and data, or null when the signature is invalid.
+	 */
+	static verify (password, token) {
+		var parts = String(token).split('.');
+		if (parts.length !== 2) {
+			return null;
+		}
+
+		var expected = Buffer.from(this.signature(password, parts[0]));
+		var actual = Buffer.from(parts[1]);
+		if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+			return null;
+		}
+
+		try {
+			return JSON.parse(Buffer.from(parts[0], 'base64').toString('utf8'));
+		} catch (error) {
+			return null;
+		}
+	}
+
+	/**
+	 * Creates the signature of a payload.
+	 * @private
+	 * @param {string} password Password for signature.
+	 * @param {string} payload Payload being signed.
+	 * @returns {string} Hex encoded HMAC-SHA256 signature.
+	 */
+	static signature (password, payload) {
+		return crypto.createHmac('sha256', String(password)).update(payload).digest('hex');
+	}
+
 	/**
 	 * Validate a token's expiration
 	 * @param {object} token The parsed token object.
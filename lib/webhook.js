@@ -0,0 +1,284 @@
+'use strict';
+
+const _ = require('lodash');
+const async = require('async');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const url = require('url');
+const db = require('./db');
+const Property = require('./property');
+const Tenant = require('./tenant');
+const constants = require('./constants');
+
+/**
+ * Delivers signed notifications of collection events to the URLs of webhooks.  Every delivery
+ * is recorded, failed deliveries are retried with an exponential backoff.
+ * @type {Webhook}
+ */
+module.exports = class Webhook {
+	/**
+	 * A set of events webhooks may be notified of.
+	 * @private
+	 * @returns {string[]} Array of event names.
+	 */
+	static get events () {
+		return [constants.EVENT.AFTER_CREATE, constants.EVENT.AFTER_UPDATE, constants.EVENT.AFTER_DELETE];
+	}
+
+	/**
+	 * Milliseconds to wait for a response before a delivery fails.
+	 * @private
+	 * @returns {number}
+	 */
+	static get timeout () {
+		return 10000;
+	}
+
+	/**
+	 * Determines when a delivery being attempted is retried should the attempt not be recorded,
+	 * for instance when the server stops during the attempt.
+	 * @private
+	 * @returns {Date}
+	 */
+	static lease () {
+		return new Date(Date.now() + this.timeout * 2);
+	}
+
+	/**
+	 * Delivers an event to the enabled webhooks of a collection.  Deliveries are recorded as
+	 * pending before they are attempted, so they are retried if the attempt fails to complete.
+	 * @param {string} collectionName Name of the collection.
+	 * @param {string} eventName Name of the event.
+	 * @param {object} data Sanitized document the event occurred on.
+	 * @param {string} [tenant] Tenant of the collection.
+	 * @returns {Promise} Resolves with the deliveries.
+	 */
+	static trigger (collectionName, eventName, data, tenant) {
+		if (this.events.indexOf(eventName) === -1) {
+			return Promise.resolve([]);
+		}
+
+		return new Promise((resolve, reject) => {
+			Tenant.db(tenant).collection(constants.COLLECTION.WEBHOOKS).find({
+				'collection': collectionName,
+				'events': eventName,
+				'enabled': {'$ne': false}
+			}, (error, webhooks) => {
+				if (error) {
+					return reject(error);
+				}
+
+				async.map(webhooks, (webhook, done) => {
+					var delivery = {
+						'_id': db.ObjectId(),
+						'webhook': webhook._id,
+						'collection': collectionName,
+						'event': eventName,
+						'url': webhook.url,
+						'status': 'pending',
+						'attempts': 0,
+						'nextAttempt': this.lease(),
+						'_created': new Date(),
+						'_modified': new Date()
+					};
+
+					delivery.payload = {
+						'id': delivery._id.toString(),
+						'collection': collectionName,
+						'event': eventName,
+						'data': data,
+						'timestamp': delivery._created
+					};
+
+					Tenant.db(tenant).collection(constants.COLLECTION.WEBHOOK_DELIVERIES).insert(delivery, (error) => {
+						if (error) {
+							return done(error);
+						}
+
+						this.attempt(delivery, webhook, tenant).then((delivery) => done(null, delivery), done);
+					});
+				}, (error, deliveries) => {
+					if (error) {
+						return reject(error);
+					}
+
+					resolve(deliveries);
+				});
+			});
+		});
+	}
+
+	/**
+	 * Retries the pending deliveries which are due.
+	 * @param {string} [tenant] Tenant of the deliveries.
+	 * @returns {Promise}
+	 */
+	static retry (tenant) {
+		return new Promise((resolve, reject) => {
+			var deliveries = Tenant.db(tenant).collection(constants.COLLECTION.WEBHOOK_DELIVERIES);
+			var next = () => {
+
+				// claim a delivery so that it is not retried twice while it is being attempted
+				deliveries.findAndModify({
+					'query': {
+						'status': 'pending',
+						'nextAttempt': {'$lte': new Date()}
+					},
+					'update': {
+						'$set': {'nextAttempt': this.lease()}
+					},
+					'new': true
+				}, (error, delivery) => {
+					if (error) {
+						return reject(error);
+					}
+
+					if (!delivery) {
+						return resolve();
+					}
+
+					Tenant.db(tenant).collection(constants.COLLECTION.WEBHOOKS).findOne({'_id': delivery.webhook}, (error, webhook) => {
+						if (error) {
+							return reject(error);
+						}
+
+						this.attempt(delivery, webhook, tenant).then(next, reject);
+					});
+				});
+			};
+
+			next();
+		});
+	}
+
+	/**
+	 * Attempts a delivery and records the outcome.
+	 * @private
+	 * @param {object} delivery Delivery being attempted.
+	 * @param {object} [webhook] Webhook of the delivery, the delivery fails when it no longer exists.
+	 * @param {string} [tenant] Tenant of the delivery.
+	 * @returns {Promise} Resolves with the updated delivery.
+	 */
+	static attempt (delivery, webhook, tenant) {
+		var send = webhook && webhook.enabled !== false ? this.send(webhook, delivery) : Promise.resolve({
+			'error': 'Webhook was removed or disabled'
+		});
+
+		return Promise.all([send, Property.getValue('backrest.webhooks.maxAttempts', 5, tenant)]).then((results) => {
+			var [result, maxAttempts] = results;
+			var attempts = delivery.attempts + 1;
+			var update = {
+				'attempts': attempts,
+				'statusCode': result.statusCode,
+				'error': result.error,
+				'_modified': new Date()
+			};
+
+			if (result.statusCode >= 200 && result.statusCode < 300) {
+				update.status = 'delivered';
+				update.nextAttempt = null;
+			} else if (webhook && webhook.enabled !== false && attempts < maxAttempts) {
+				update.status = 'pending';
+				update.nextAttempt = new Date(Date.now() + 30000 * Math.pow(2, attempts - 1));
+			} else {
+				update.status = 'failed';
+				update.nextAttempt = null;
+			}
+
+			return new Promise((resolve, reject) => {
+				Tenant.db(tenant).collection(constants.COLLECTION.WEBHOOK_DELIVERIES).findAndModify({
+					'query': {'_id': delivery._id},
+					'update': {'$set': update},
+					'new': true
+				}, (error, delivery) => {
+					if (error) {
+						return reject(error);
+					}
+
+					resolve(delivery);
+				});
+			});
+		});
+	}
+
+	/**
+	 * Posts the payload of a delivery to the URL of a webhook.
+	 * @private
+	 * @param {object} webhook Webhook being notified.
+	 * @param {object} delivery Delivery being sent.
+	 * @returns {Promise} Resolves with the "statusCode" of the response or an "error", never rejects.
+	 */
+	static send (webhook, delivery) {
+		return new Promise((resolve) => {
+			var body = JSON.stringify(delivery.payload);
+			var target = url.parse(webhook.url);
+			var headers = {};
+
+			Object.keys(webhook.headers || {}).forEach((name) => {
+				headers[name] = this.render(String(webhook.headers[name]), delivery.payload);
+			});
+
+			Object.assign(headers, {
+				'Content-Type': 'application/json',
+				'Content-Length': Buffer.byteLength(body),
+				'X-Backrest-Event': delivery.event,
+				'X-Backrest-Delivery': delivery._id.toString(),
+				'X-Backrest-Signature': 'sha256=' + this.sign(webhook.secret, body)
+			});
+
+			if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+				return resolve({'error': 'Invalid URL ' + webhook.url});
+			}
+
+			var request = (target.protocol === 'https:' ? https : http).request({
+				'method': 'POST',
+				'protocol': target.protocol,
+				'hostname': target.hostname,
+				'port': target.port,
+				'path': target.path,
+				'auth': target.auth,
+				'headers': headers
+			}, (response) => {
+				response.resume();
+				resolve({'statusCode': response.statusCode});
+			});
+
+			request.setTimeout(this.timeout, () => {
+				request.abort();
+			});
+
+			request.on('error', (error) => {
+				resolve({'error': error.message});
+			});
+
+			request.end(body);
+		});
+	}
+
+	/**
+	 * Signs a payload with the secret of a webhook, so receivers can verify it was sent by the server.
+	 * @private
+	 * @param {string} [secret] Secret of the webhook.
+	 * @param {string} body JSON encoded payload.
+	 * @returns {string} Hex encoded HMAC SHA-256 signature.
+	 */
+	static sign (secret, body) {
+		return crypto.createHmac('sha256', secret || '').update(body).digest('hex');
+	}
+
+	/**
+	 * Renders a header template, replacing placeholders such as "{{collection}}" or
+	 * "{{data._id}}" with values of the payload.
+	 * @private
+	 * @param {string} template Header template.
+	 * @param {object} payload Payload of the delivery.
+	 * @returns {string}
+	 */
+	static render (template, payload) {
+		return template.replace(/\{\{\s*([\w.$]+)\s*\}\}/g, (match, path) => {
+			var value = _.get(payload, path);
+			return value === undefined || value === null ? '' : String(value);
+		});
+	}
+};
\ No newline at end of file
@@ -0,0 +1,29 @@
+const expect = require('expect.js');
+const Audit = require('../lib/audit');
+var it = require('mocha').it;
+var describe = require('mocha').describe;
+
+describe('Audit', () => {
+	it('serializes entries as CSV with a header row', () => {
+		var csv = Audit.toCsv([{
+			'_created': new Date('2026-01-01T00:00:00Z'),
+			'user': 'anonymous',
+			'action': 'read',
+			'collection': 'users',
+			'documentIds': ['a', 'b'],
+			'outcome': 'allowed',
+			'error': 'Said "no", twice'
+		}]);
+
+		expect(csv).to.equal('_created,user,session,ip,action,collection,documentIds,fields,outcome,error\r\n' +
+			'2026-01-01T00:00:00.000Z,anonymous,,,read,users,a;b,,allowed,"Said ""no"", twice"\r\n');
+	});
+
+	it('prefixes values spreadsheets would evaluate as formulas', () => {
+		var errors = ['=1+1', '+1', '-1', '@SUM(A1)', '\tTab', '\rReturn'].map((error) => {
+			return Audit.toCsv([{'error': error}]).split('\r\n')[1].replace(/^,+/, '');
+		});
+
+		expect(errors).to.eql(['\'=1+1', '\'+1', '\'-1', '\'@SUM(A1)', '\'\tTab', '"\'\rReturn"']);
+	});
+});
\ No newline at end of file
@@ -0,0 +1,42 @@
+const expect = require('expect.js');
+const Cron = require('../lib/cron');
+var it = require('mocha').it;
+var describe = require('mocha').describe;
+
+describe('Cron', () => {
+	it('matches either the day of the month or the day of the week when both are restricted', () => {
+		// the 13th of October 2026 is a Tuesday and the 16th a Friday
+		expect(Cron.matches('0 12 13 * 5', new Date('2026-10-13T12:00:00Z'))).to.be(true);
+		expect(Cron.matches('0 12 13 * 5', new Date('2026-10-16T12:00:00Z'))).to.be(true);
+		expect(Cron.matches('0 12 13 * 5', new Date('2026-10-14T12:00:00Z'))).to.be(false);
+	});
+
+	it('matches only the day of the month when the day of the week is not restricted', () => {
+		expect(Cron.matches('0 12 13 * *', new Date('2026-10-13T12:00:00Z'))).to.be(true);
+		expect(Cron.matches('0 12 13 * *', new Date('2026-10-16T12:00:00Z'))).to.be(false);
+	});
+
+	it('matches the wall clock time of a time zone', () => {
+		// New York is 5 hours behind UTC in January and 4 hours behind in July
+		expect(Cron.matches('0 9 * * *', new Date('2026-01-15T14:00:00Z'), 'America/New_York')).to.be(true);
+		expect(Cron.matches('0 9 * * *', new Date('2026-07-15T13:00:00Z'), 'America/New_York')).to.be(true);
+		expect(Cron.matches('0 9 * * *', new Date('2026-07-15T09:00:00Z'), 'America/New_York')).to.be(false);
+
+		// Sunday afternoon in UTC is already Monday morning in Auckland
+		expect(Cron.matches('0 4 * * 1', new Date('2026-10-18T15:00:00Z'), 'Pacific/Auckland')).to.be(true);
+		expect(Cron.matches('0 4 * * 1', new Date('2026-10-18T15:00:00Z'))).to.be(false);
+	});
+
+	it('matches Sunday as 0, 7, or its name', () => {
+		var sunday = new Date('2026-10-18T00:00:00Z');
+		expect(Cron.matches('0 0 * * 0', sunday)).to.be(true);
+		expect(Cron.matches('0 0 * * 7', sunday)).to.be(true);
+		expect(Cron.matches('0 0 * * sun', sunday)).to.be(true);
+		expect(Cron.matches('0 0 * * 7', new Date('2026-10-19T00:00:00Z'))).to.be(false);
+	});
+
+	it('does not match invalid expressions', () => {
+		expect(Cron.matches('0 0 * *', new Date())).to.be(false);
+		expect(Cron.matches('60 0 * * *', new Date())).to.be(false);
+	});
+});
\ No newline at end of file
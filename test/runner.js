@@ -8,9 +8,10 @@ var describe = require('mocha').describe;
 
 var sessionCookie;
 var _id;
-var tests = fs.readdirSync('./test/server').map((fileName) => {
-	return require('./server/' + fileName);
-}).sort((a, b) => {
+// a file exports a test, or an array of tests sharing state which run in the order of their "order"
+var tests = fs.readdirSync('./test/server').reduce((tests, fileName) => {
+	return tests.concat(require('./server/' + fileName));
+}, []).sort((a, b) => {
 	return a.order - b.order;
 });
 
@@ -51,15 +52,21 @@ describe('API', () => {
 					method = 'del';
 				}
 
-				var call = request[method]('http://localhost:3000' + test.url.replace('{_id}', _id));
+				var url = typeof test.url === 'function' ? test.url(_id) : test.url.replace('{_id}', _id);
+				var call = request[method]('http://localhost:3000' + url);
 
-				// add cookies
-				if (sessionCookie) {
+				// add cookies, unless the test is sent without a session
+				if (sessionCookie && test.session !== false) {
 					call = call.set('Cookie', sessionCookie);
 				}
 
+				// add headers
+				if (test.headers) {
+					call = call.set(typeof test.headers === 'function' ? test.headers() : test.headers);
+				}
+
 				// add data
-				if (test.method === 'POST' || test.method === 'PUT') {
+				if (test.method === 'POST' || test.method === 'PUT' || test.method === 'PATCH') {
 					if (test.data) {
 						var type = Object.prototype.toString.call(test.data);
 						if (type === '[object Function]') {
@@ -72,7 +79,7 @@ describe('API', () => {
 
 				call.end((error, response) => {
 					// remember cookies
-					if (response.header['set-cookie']) {
+					if (response.header['set-cookie'] && test.session !== false) {
 						sessionCookie = response.header['set-cookie'];
 					}
 
@@ -96,7 +103,7 @@ describe('API', () => {
 						});
 						done();
 					} else if (type === '[object Function]') {
-						test.assertions(response.body, done);
+						test.assertions(response.body, done, response);
 					} else {
 						done();
 					}
@@ -0,0 +1,128 @@
+const db = require('../../lib/db');
+const expect = require('expect.js');
+const ApiKey = require('../../lib/api-key');
+
+var created;
+var userId = db.ObjectId();
+var userKey;
+var authorization = (key) => {
+	return () => {
+		return {'Authorization': 'Bearer ' + key().key};
+	};
+};
+
+module.exports = [{
+	'order': 9.9997,
+	'method': 'POST',
+	'url': '/api/keys',
+	'description': 'should create an API key',
+	'before': () => {
+		// a user without roles, authenticated by a key of its own
+		db.collection('users').remove({'email': 'apiKey@backrest.io'}, () => {
+			db.collection('users').insert({
+				'_id': userId,
+				'firstName': 'Api',
+				'lastName': 'Key',
+				'email': 'apiKey@backrest.io',
+				'roles': []
+			}, () => {
+				ApiKey.create({'name': 'User Key', 'user': userId}).then((key) => {
+					userKey = key;
+				});
+			});
+		});
+	},
+	'data': {
+		'name': 'Test Key'
+	},
+	'statusCode': 201,
+	'assertions': (result, done) => {
+		expect(result.key).to.match(/^brk_/);
+		expect(result.hint).to.equal(result.key.substr(-4));
+		expect(result.name).to.equal('Test Key');
+		created = result;
+		done();
+	}
+}, {
+	'order': 9.99971,
+	'method': 'GET',
+	'url': '/api/keys',
+	'description': 'should list API keys without their hash',
+	'assertions': (result, done) => {
+		var key = result.filter((key) => key._id === created._id)[0];
+		expect(key.name).to.equal('Test Key');
+		expect(key.key).to.be(undefined);
+		done();
+	}
+}, {
+	'order': 9.99972,
+	'method': 'GET',
+	'url': '/api/users/current',
+	'description': 'should authenticate a request with an API key',
+	'session': false,
+	'headers': authorization(() => created),
+	'assertions': (result, done) => {
+		expect(result.email).to.equal('emailCreate@backrest.io');
+		done();
+	}
+}, {
+	'order': 9.99973,
+	'method': 'DELETE',
+	'url': () => '/api/keys/' + created._id,
+	'description': 'should revoke an API key',
+	'assertions': (result, done) => {
+		expect(result).to.be(true);
+		done();
+	}
+}, {
+	'order': 9.99974,
+	'method': 'GET',
+	'url': '/api/users/current',
+	'description': 'should 401 when authenticating a request with a revoked API key',
+	'session': false,
+	'headers': authorization(() => created),
+	'statusCode': 401
+}, {
+	'order': 9.99975,
+	'method': 'POST',
+	'url': '/api/keys',
+	'description': 'should 403 when a user who is not an admin binds an API key to a role',
+	'session': false,
+	'headers': authorization(() => userKey),
+	'data': {
+		'name': 'Admin Key',
+		'role': 'admin'
+	},
+	'statusCode': 403
+}, {
+	'order': 9.99976,
+	'method': 'POST',
+	'url': '/api/keys',
+	'description': 'should 403 when a user who is not an admin binds an API key to another user',
+	'session': false,
+	'headers': authorization(() => userKey),
+	'data': {
+		'name': 'Other Key',
+		'user': db.ObjectId().toString()
+	},
+	'statusCode': 403
+}, {
+	'order': 9.99977,
+	'method': 'GET',
+	'url': '/api/keys',
+	'description': 'should list only their own API keys for a user who is not an admin',
+	'session': false,
+	'headers': authorization(() => userKey),
+	'assertions': (result, done) => {
+		db.collection('users').remove({'_id': userId});
+
+		expect(result.length).to.equal(1);
+		expect(result[0].name).to.equal('User Key');
+		ApiKey.revoke({'_id': userKey._id}).then(() => done(), done);
+	}
+}, {
+	'order': 9.99978,
+	'method': 'GET',
+	'url': '/api/users/current',
+	'description': 'should get the current user after testing API keys'
+}];
\ No newline at end of file
@@ -0,0 +1,15 @@
+const expect = require('expect.js');
+module.exports = {
+	'order': 9.9,
+	'method': 'GET',
+	'url': '/api/audit/_export?format=csv&action=login&outcome=forbidden',
+	'description': 'should export the audit log as CSV',
+	'assertions': function (result, done, response) {
+		var rows = response.text.split('\r\n');
+		expect(response.header['content-type']).to.contain('text/csv');
+		expect(rows[0]).to.equal('_created,user,session,ip,action,collection,documentIds,fields,outcome,error');
+		expect(rows.some((row) => /,anonymous,.*,login,users,.*,forbidden,Unknown email$/.test(row))).to.be(true);
+		expect(rows[rows.length - 1]).to.equal('');
+		done();
+	}
+};
\ No newline at end of file
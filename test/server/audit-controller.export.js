@@ -0,0 +1,13 @@
+const expect = require('expect.js');
+module.exports = {
+	'order': 9.9,
+	'method': 'GET',
+	'url': '/api/audit/_export?format=json&action=login&outcome=allowed',
+	'description': 'should export the audit log of logins',
+	'assertions': function (result, done) {
+		expect(result.data).to.be.an('array');
+		expect(result.data.length).to.be.greaterThan(0);
+		expect(result.data[0].collection).to.equal('users');
+		done();
+	}
+};
\ No newline at end of file
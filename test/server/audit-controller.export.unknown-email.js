@@ -0,0 +1,11 @@
+const expect = require('expect.js');
+module.exports = {
+	'order': 9.9,
+	'method': 'GET',
+	'url': '/api/audit/_export?format=json&action=login&outcome=forbidden',
+	'description': 'should export the failed logins of unknown emails',
+	'assertions': function (result, done) {
+		expect(result.data.some((entry) => entry.user === 'anonymous' && entry.error === 'Unknown email')).to.be(true);
+		done();
+	}
+};
\ No newline at end of file
@@ -0,0 +1,268 @@
+const db = require('../../lib/db');
+const expect = require('expect.js');
+const ApiKey = require('../../lib/api-key');
+
+var userId = db.ObjectId();
+var ids = {
+	'a': db.ObjectId(),
+	'b': db.ObjectId(),
+	'c': db.ObjectId(),
+	'd': db.ObjectId()
+};
+var organizationIds = [db.ObjectId(), db.ObjectId()];
+var key;
+var authorization = () => {
+	return {'Authorization': 'Bearer ' + key.key};
+};
+
+// a user of the "org1" organization, a member of "A" and the reviewer of "B", who is neither
+// a member nor of the organization of "C"
+module.exports = [{
+	'order': 9.981,
+	'method': 'GET',
+	'url': '/api/aclRules?sort={"title":1}',
+	'description': 'should read the documents and fields granted by members, user field, and match rules',
+	'session': false,
+	'headers': authorization,
+	'before': () => {
+		var collections = db.collection('collections');
+		collections.remove({'name': {'$in': ['aclRules', 'aclOrganizations', 'aclOwners']}}, () => {
+			collections.insert([{
+				'name': 'aclRules',
+				'acl': {
+					'rules': {
+						'members': {'members': 'members'},
+						'organization': {'user': {'orgId': 'orgId'}},
+						'reviewer': {'match': {'reviewer': '$user.email'}}
+					},
+					'create': {
+						'admin': ['title', 'orgId', 'members', 'notes', 'status', 'reviewer'],
+						'organization': ['title', 'orgId', 'status'],
+						'reviewer': ['title', 'status']
+					},
+					'read': {
+						'admin': ['_id', 'title', 'orgId', 'members', 'notes', 'status', 'reviewer'],
+						'members': ['_id', 'title', 'notes'],
+						'organization': ['_id', 'title', 'orgId'],
+						'reviewer': ['_id', 'title', 'status']
+					},
+					'update': {
+						'admin': ['title', 'orgId', 'members', 'notes', 'status', 'reviewer'],
+						'members': ['title', 'notes'],
+						'organization': ['title'],
+						'reviewer': ['title', 'status']
+					},
+					'delete': ['admin', 'members']
+				}
+			}, {
+				'name': 'aclOrganizations',
+				'acl': {
+					'rules': {
+						'organization': {'user': {'orgId': 'orgId'}}
+					},
+					'read': {
+						'organization': ['_id', 'title', 'orgId']
+					}
+				}
+			}, {
+				'name': 'aclOwners',
+				'acl': {
+					'read': {
+						'owner': ['_id', 'title']
+					}
+				}
+			}]);
+		});
+
+		db.collection('aclRules').remove({}, () => {
+			db.collection('aclRules').insert([
+				{'_id': ids.a, 'title': 'A', 'orgId': 'org1', 'members': [userId.toString()], 'notes': 'Notes A', 'status': 'draft', 'reviewer': 'other@backrest.io'},
+				{'_id': ids.b, 'title': 'B', 'orgId': 'org2', 'members': [], 'notes': 'Notes B', 'status': 'draft', 'reviewer': 'aclRules@backrest.io'},
+				{'_id': ids.c, 'title': 'C', 'orgId': 'org2', 'members': [], 'notes': 'Notes C', 'status': 'draft', 'reviewer': 'other@backrest.io'},
+				{'_id': ids.d, 'title': 'D', 'orgId': 'org1', 'members': [], 'notes': 'Notes D', 'status': 'draft', 'reviewer': 'other@backrest.io'}
+			]);
+		});
+
+		db.collection('aclOrganizations').remove({}, () => {
+			db.collection('aclOrganizations').insert([
+				{'_id': organizationIds[0], 'title': 'First', 'orgId': 'org1'},
+				{'_id': organizationIds[1], 'title': 'Second', 'orgId': 'org1'}
+			]);
+		});
+
+		db.collection('users').remove({'email': 'aclRules@backrest.io'}, () => {
+			db.collection('users').insert({
+				'_id': userId,
+				'firstName': 'Acl',
+				'lastName': 'Rules',
+				'email': 'aclRules@backrest.io',
+				'orgId': 'org1',
+				'roles': []
+			}, () => {
+				ApiKey.create({'name': 'ACL Rules', 'user': userId}).then((created) => {
+					key = created;
+				});
+			});
+		});
+	},
+	'assertions': (result, done) => {
+		expect(result.data.map((document) => document.title)).to.eql(['A', 'B', 'D']);
+
+		// members and organization
+		expect(result.data[0].notes).to.equal('Notes A');
+		expect(result.data[0].orgId).to.equal('org1');
+		expect(result.data[0].status).to.be(undefined);
+
+		// reviewer
+		expect(result.data[1].status).to.equal('draft');
+		expect(result.data[1].notes).to.be(undefined);
+		expect(result.data[1].orgId).to.be(undefined);
+
+		// organization
+		expect(result.data[2].orgId).to.equal('org1');
+		expect(result.data[2].notes).to.be(undefined);
+		done();
+	}
+}, {
+	'order': 9.982,
+	'method': 'GET',
+	'url': '/api/aclOrganizations?conditions={"orgId":"org1"}&sort={"orgId":1}&limit=1',
+	'description': 'should read the fields of a rule when filtering on the fields of the rule',
+	'session': false,
+	'headers': authorization,
+	'assertions': (result, done) => {
+		expect(result.data.length).to.equal(1);
+		expect(result.data[0].orgId).to.equal('org1');
+		expect(result.next).to.be.a('string');
+		done();
+	}
+}, {
+	'order': 9.983,
+	'method': 'PUT',
+	'url': '/api/aclRules/' + ids.a,
+	'description': 'should update the fields common to the rules granting an update',
+	'session': false,
+	'headers': authorization,
+	'data': {
+		'title': 'A2',
+		'orgId': 'org2'
+	},
+	'assertions': (result, done) => {
+		db.collection('aclRules').findOne({'_id': ids.a}, (error, document) => {
+			expect(document.title).to.equal('A2');
+			expect(document.orgId).to.equal('org1');
+			done(error);
+		});
+	}
+}, {
+	'order': 9.984,
+	'method': 'PATCH',
+	'url': '/api/aclRules/' + ids.b,
+	'description': 'should patch the fields common to the rules granting an update',
+	'session': false,
+	'headers': authorization,
+	'data': {
+		'$set': {
+			'title': 'B2',
+			'notes': 'Notes B2'
+		}
+	},
+	'assertions': (result, done) => {
+		db.collection('aclRules').findOne({'_id': ids.b}, (error, document) => {
+			expect(document.title).to.equal('B2');
+			expect(document.notes).to.equal('Notes B');
+			done(error);
+		});
+	}
+}, {
+	'order': 9.985,
+	'method': 'PATCH',
+	'url': '/api/aclRules/' + ids.c,
+	'description': 'should 404 when patching a document no rule grants',
+	'session': false,
+	'headers': authorization,
+	'data': {
+		'$set': {
+			'title': 'C2'
+		}
+	},
+	'statusCode': 404
+}, {
+	'order': 9.986,
+	'method': 'POST',
+	'url': '/api/aclRules',
+	'description': 'should create a document matching a rule with the fields of the rule',
+	'session': false,
+	'headers': authorization,
+	'data': {
+		'title': 'E',
+		'orgId': 'org1',
+		'notes': 'Notes E'
+	},
+	'statusCode': 201,
+	'assertions': (result, done) => {
+		db.collection('aclRules').findOne({'title': 'E'}, (error, document) => {
+			expect(document.orgId).to.equal('org1');
+			expect(document.notes).to.be(undefined);
+			done(error);
+		});
+	}
+}, {
+	'order': 9.987,
+	'method': 'POST',
+	'url': '/api/aclRules',
+	'description': 'should 403 when creating a document matching no rule',
+	'session': false,
+	'headers': authorization,
+	'data': {
+		'title': 'F',
+		'orgId': 'org2'
+	},
+	'statusCode': 403
+}, {
+	'order': 9.9875,
+	'method': 'POST',
+	'url': '/api/aclRules',
+	'description': 'should 403 when creating a document matching a rule only by a field the rule does not grant',
+	'session': false,
+	'headers': authorization,
+	'data': {
+		'title': 'G',
+		'reviewer': 'aclRules@backrest.io'
+	},
+	'statusCode': 403
+}, {
+	'order': 9.988,
+	'method': 'DELETE',
+	'url': '/api/aclRules/' + ids.d,
+	'description': 'should 404 when deleting a document only rules without delete access grant',
+	'session': false,
+	'headers': authorization,
+	'statusCode': 404
+}, {
+	'order': 9.989,
+	'method': 'DELETE',
+	'url': '/api/aclRules/' + ids.a,
+	'description': 'should delete a document a members rule grants',
+	'session': false,
+	'headers': authorization
+}, {
+	'order': 9.99,
+	'method': 'GET',
+	'url': '/api/aclOwners',
+	'description': 'should 403 when reading a collection only owners may read without a user',
+	'session': false,
+	'statusCode': 403,
+	'assertions': (result, done) => {
+		db.collection('collections').remove({'name': {'$in': ['aclRules', 'aclOrganizations', 'aclOwners']}});
+		db.collection('aclRules').remove({});
+		db.collection('aclOrganizations').remove({});
+		db.collection('users').remove({'_id': userId});
+		ApiKey.revoke({'_id': key._id}).then(() => done(), done);
+	}
+}, {
+	'order': 9.991,
+	'method': 'GET',
+	'url': '/api/users/current',
+	'description': 'should get the current user after testing ACL rules'
+}];
\ No newline at end of file
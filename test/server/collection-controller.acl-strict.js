@@ -0,0 +1,155 @@
+const db = require('../../lib/db');
+const expect = require('expect.js');
+const ApiKey = require('../../lib/api-key');
+
+var userId = db.ObjectId();
+var documentId = db.ObjectId();
+var key;
+var authorization = () => {
+	return {'Authorization': 'Bearer ' + key.key};
+};
+
+// writes with fields the user may not write are rejected, for users with a role or a rule
+module.exports = [{
+	'order': 9.992,
+	'method': 'POST',
+	'url': '/api/aclStrict',
+	'description': 'should 403 with the forbidden fields when creating in a strict collection',
+	'before': () => {
+		var collections = db.collection('collections');
+		collections.remove({'name': {'$in': ['aclStrict', 'aclMasks']}}, () => {
+			collections.insert([{
+				'name': 'aclStrict',
+				'acl': {
+					'strict': true,
+					'rules': {
+						'members': {'members': 'members'}
+					},
+					'create': {
+						'admin': ['title', 'members']
+					},
+					'read': {
+						'admin': ['_id', 'title', 'members'],
+						'members': ['_id', 'title']
+					},
+					'update': {
+						'admin': ['title', 'members'],
+						'members': ['title']
+					},
+					'delete': ['admin']
+				}
+			}, {
+				'name': 'aclMasks',
+				'acl': {
+					'read': {
+						'admin': ['_id', 'phone', 'card']
+					},
+					'masks': {
+						'phone': {'last': 4},
+						'card': {'first': 2, 'last': 2, 'character': '#', 'except': ['admin']}
+					}
+				}
+			}]);
+		});
+
+		db.collection('aclStrict').remove({}, () => {
+			db.collection('aclStrict').insert({'_id': documentId, 'title': 'Strict', 'members': [userId.toString()]});
+		});
+
+		db.collection('aclMasks').remove({}, () => {
+			db.collection('aclMasks').insert({'phone': '5551234567', 'card': '4111111111111111'});
+		});
+
+		db.collection('users').remove({'email': 'aclStrict@backrest.io'}, () => {
+			db.collection('users').insert({
+				'_id': userId,
+				'firstName': 'Acl',
+				'lastName': 'Strict',
+				'email': 'aclStrict@backrest.io',
+				'roles': []
+			}, () => {
+				ApiKey.create({'name': 'ACL Strict', 'user': userId}).then((created) => {
+					key = created;
+				});
+			});
+		});
+	},
+	'data': {
+		'title': 'Created',
+		'secret': 'Secret'
+	},
+	'statusCode': 403,
+	'assertions': (result, done) => {
+		expect(result.error.message).to.equal('Forbidden');
+		expect(result.error.fields).to.eql(['secret']);
+		done();
+	}
+}, {
+	'order': 9.993,
+	'method': 'PATCH',
+	'url': '/api/aclStrict/' + documentId,
+	'description': 'should patch the fields of a rule in a strict collection',
+	'session': false,
+	'headers': authorization,
+	'data': {
+		'$set': {
+			'title': 'Patched'
+		}
+	},
+	'assertions': (result, done) => {
+		expect(result.title).to.equal('Patched');
+		done();
+	}
+}, {
+	'order': 9.994,
+	'method': 'PUT',
+	'url': '/api/aclStrict/' + documentId,
+	'description': 'should update the fields of a rule in a strict collection',
+	'session': false,
+	'headers': authorization,
+	'data': {
+		'title': 'Updated'
+	},
+	'assertions': (result, done) => {
+		expect(result.title).to.equal('Updated');
+		done();
+	}
+}, {
+	'order': 9.995,
+	'method': 'PATCH',
+	'url': '/api/aclStrict/' + documentId,
+	'description': 'should 403 with the forbidden fields when patching other fields than those of a rule in a strict collection',
+	'session': false,
+	'headers': authorization,
+	'data': {
+		'$set': {
+			'title': 'Forbidden',
+			'members': []
+		}
+	},
+	'statusCode': 403,
+	'assertions': (result, done) => {
+		expect(result.error.fields).to.eql(['members']);
+		done();
+	}
+}, {
+	'order': 9.996,
+	'method': 'GET',
+	'url': '/api/aclMasks',
+	'description': 'should mask fields except for the roles they list',
+	'assertions': (result, done) => {
+		db.collection('collections').remove({'name': {'$in': ['aclStrict', 'aclMasks']}});
+		db.collection('aclStrict').remove({});
+		db.collection('aclMasks').remove({});
+		db.collection('users').remove({'_id': userId});
+
+		expect(result.data[0].phone).to.equal('******4567');
+		expect(result.data[0].card).to.equal('4111111111111111');
+		ApiKey.revoke({'_id': key._id}).then(() => done(), done);
+	}
+}, {
+	'order': 9.997,
+	'method': 'GET',
+	'url': '/api/users/current',
+	'description': 'should get the current user after testing strict ACLs and masks'
+}];
\ No newline at end of file
@@ -0,0 +1,86 @@
+const db = require('../../lib/db');
+const expect = require('expect.js');
+
+// fields the user cannot read are removed before any stage, and cannot be joined on
+module.exports = [{
+	'order': 4.61,
+	'method': 'POST',
+	'url': '/api/aggregateAcl/_aggregate',
+	'description': 'should group aggregated documents without the fields the user cannot read',
+	'before': () => {
+		var collections = db.collection('collections');
+		collections.remove({'name': 'aggregateAcl'}, () => {
+			collections.insert({
+				'name': 'aggregateAcl',
+				'acl': {
+					'read': {
+						'admin': ['_id', 'title']
+					}
+				}
+			});
+		});
+
+		db.collection('aggregateAcl').remove({}, () => {
+			db.collection('aggregateAcl').insert([
+				{'title': 'First', 'secret': 'a'},
+				{'title': 'Second', 'secret': 'b'}
+			]);
+		});
+	},
+	'data': {
+		'pipeline': [{
+			'$group': {
+				'_id': '$secret',
+				'count': {
+					'$sum': 1
+				}
+			}
+		}]
+	},
+	'assertions': (result, done) => {
+		expect(result.data).to.eql([{'_id': null, 'count': 2}]);
+		done();
+	}
+}, {
+	'order': 4.62,
+	'method': 'POST',
+	'url': '/api/aggregateAcl/_aggregate',
+	'description': 'should project aggregated documents without the fields the user cannot read',
+	'data': {
+		'pipeline': [{
+			'$project': {
+				'title': 1,
+				'secret': 1
+			}
+		}]
+	},
+	'assertions': (result, done) => {
+		expect(result.data.length).to.equal(2);
+		result.data.forEach((document) => {
+			expect(document.title).to.be.ok();
+			expect(document).not.to.have.property('secret');
+		});
+		done();
+	}
+}, {
+	'order': 4.63,
+	'method': 'POST',
+	'url': '/api/aggregateAcl/_aggregate',
+	'description': 'should 400 when looking up documents by a field the user cannot read',
+	'data': {
+		'pipeline': [{
+			'$lookup': {
+				'from': 'aggregateAcl',
+				'localField': 'title',
+				'foreignField': 'secret',
+				'as': 'matches'
+			}
+		}]
+	},
+	'statusCode': 400,
+	'assertions': (result, done) => {
+		db.collection('collections').remove({'name': 'aggregateAcl'});
+		db.collection('aggregateAcl').remove({});
+		done();
+	}
+}];
\ No newline at end of file
@@ -0,0 +1,12 @@
+module.exports = {
+	'order': 4.6,
+	'method': 'POST',
+	'url': '/api/users/_aggregate',
+	'description': 'should 400 when aggregating users with a stage that is not allowed',
+	'data': {
+		'pipeline': [{
+			'$out': 'users_copy'
+		}]
+	},
+	'statusCode': 400
+};
\ No newline at end of file
@@ -0,0 +1,22 @@
+const expect = require('expect.js');
+module.exports = {
+	'order': 4.6,
+	'method': 'POST',
+	'url': '/api/users/_aggregate',
+	'description': 'should aggregate users',
+	'data': {
+		'pipeline': [{
+			'$group': {
+				'_id': null,
+				'count': {
+					'$sum': 1
+				}
+			}
+		}]
+	},
+	'assertions': function (result, done) {
+		expect(result.data.length).to.equal(1);
+		expect(result.data[0].count).to.be.greaterThan(0);
+		done();
+	}
+};
\ No newline at end of file
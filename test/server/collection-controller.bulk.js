@@ -0,0 +1,30 @@
+const expect = require('expect.js');
+const db = require('../../lib/db');
+
+module.exports = {
+	'order': 9.75,
+	'method': 'POST',
+	'url': '/api/users/_bulk',
+	'description': 'should perform bulk operations and report the result of each',
+	'data': (_id) => {
+		return {
+			'operations': [{
+				'action': 'update',
+				'id': _id,
+				'data': {
+					'firstName': 'FirstNameBulk'
+				}
+			}, {
+				'action': 'delete',
+				'id': db.ObjectId().toString()
+			}]
+		};
+	},
+	'assertions': function (result, done) {
+		expect(result.results.length).to.equal(2);
+		expect(result.results[0].status).to.equal(200);
+		expect(result.results[0].data.firstName).to.equal('FirstNameBulk');
+		expect(result.results[1].status).to.equal(404);
+		done();
+	}
+};
\ No newline at end of file
@@ -0,0 +1,14 @@
+const expect = require('expect.js');
+module.exports = {
+	'order': 4.9,
+	'method': 'GET',
+	'url': '/api/users/_changes?conditions=' + encodeURIComponent(JSON.stringify({
+		'$where': 'true'
+	})),
+	'description': 'should 400 when subscribing to changes of users with an operator that is not allowed',
+	'statusCode': 400,
+	'assertions': function (result, done) {
+		expect(result.error.errors[0].field).to.equal('conditions.$where');
+		done();
+	}
+};
\ No newline at end of file
@@ -0,0 +1,36 @@
+const expect = require('expect.js');
+const http = require('http');
+
+var changes = '';
+var subscription;
+
+module.exports = {
+	'order': 9.71,
+	'method': 'PATCH',
+	'url': '/api/users/{_id}',
+	'description': 'should publish changes to subscribers of the change feed',
+	'data': {
+		'$set': {
+			'firstName': 'FirstNameFeed'
+		}
+	},
+	'before': () => {
+		// subscribe anonymously when the test is registered, so the subscription is open before the patch
+		subscription = http.get('http://localhost:3000/api/users/_changes', (response) => {
+			response.setEncoding('utf8');
+			response.on('data', (chunk) => {
+				changes += chunk;
+			});
+		});
+	},
+	'assertions': (result, done) => {
+		// changes are published to subscribers alongside the response
+		setTimeout(() => {
+			subscription.abort();
+
+			expect(changes).to.contain('event: update\ndata: ');
+			expect(changes).to.contain('"firstName":"FirstNameFeed"');
+			done();
+		}, 500);
+	}
+};
\ No newline at end of file
@@ -0,0 +1,20 @@
+const expect = require('expect.js');
+module.exports = {
+	'order': 9.6,
+	'method': 'POST',
+	'url': '/api/schedules',
+	'description': 'should 400 when creating a schedule with values out of range or an unknown time zone',
+	'data': {
+		'name': 'Nightly',
+		'cron': '99 * * * *',
+		'timezone': 'Mars/Olympus_Mons',
+		'script': 'done();'
+	},
+	'statusCode': 400,
+	'assertions': function (result, done) {
+		expect(result.error.errors.length).to.equal(2);
+		expect(result.error.errors[0].field).to.equal('cron');
+		expect(result.error.errors[1].field).to.equal('timezone');
+		done();
+	}
+};
\ No newline at end of file
@@ -0,0 +1,18 @@
+const expect = require('expect.js');
+module.exports = {
+	'order': 9.6,
+	'method': 'POST',
+	'url': '/api/schedules',
+	'description': 'should 400 when creating a schedule without a valid cron expression',
+	'data': {
+		'name': 'Nightly',
+		'cron': '0 0 *',
+		'script': 'done();'
+	},
+	'statusCode': 400,
+	'assertions': function (result, done) {
+		expect(result.error.errors.length).to.equal(1);
+		expect(result.error.errors[0].field).to.equal('cron');
+		done();
+	}
+};
\ No newline at end of file
@@ -0,0 +1,18 @@
+const expect = require('expect.js');
+module.exports = {
+	'order': 9.6,
+	'method': 'POST',
+	'url': '/api/webhooks',
+	'description': 'should 400 when creating a webhook without a valid URL',
+	'data': {
+		'collection': 'users',
+		'events': ['afterCreate'],
+		'url': 'ftp://localhost/hook'
+	},
+	'statusCode': 400,
+	'assertions': function (result, done) {
+		expect(result.error.errors.length).to.equal(1);
+		expect(result.error.errors[0].field).to.equal('url');
+		done();
+	}
+};
\ No newline at end of file
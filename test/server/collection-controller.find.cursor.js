@@ -0,0 +1,110 @@
+const db = require('../../lib/db');
+const expect = require('expect.js');
+
+// documents are created in order, so their ids break ties in the order of the letters
+var documents = ['a', 'b', 'c', 'd', 'e'].map((name) => {
+	return {'_id': db.ObjectId(), 'name': name};
+});
+documents[0].rank = 2;
+documents[2].rank = 1;
+documents[3].rank = null;
+documents[4].rank = 2;
+
+var next;
+var page = (direction) => () => '/api/cursorTest?limit=2&sort=' + encodeURIComponent(JSON.stringify({'rank': direction})) +
+	(next ? '&cursor=' + encodeURIComponent(next) : '');
+var names = (result) => result.data.map((document) => document.name);
+
+module.exports = [{
+	'order': 4.5,
+	'method': 'GET',
+	'url': '/api/users?limit=1&count=false',
+	'description': 'should get a page of users with a cursor to the next page and without a total',
+	'assertions': function (result, done) {
+		expect(result.data.length).to.equal(1);
+		expect(result.next).to.be.a('string');
+		expect(result.total).to.be(undefined);
+		done();
+	}
+}, {
+	'order': 4.51,
+	'method': 'GET',
+	'url': page(1),
+	'description': 'should get the first page of documents sorted by a field which is null or missing in some of them',
+	'before': () => {
+		var collections = db.collection('collections');
+		collections.remove({'name': 'cursorTest'}, () => {
+			collections.insert({
+				'name': 'cursorTest',
+				'acl': {
+					'read': ['admin']
+				}
+			});
+		});
+
+		db.collection('cursorTest').remove({}, () => {
+			db.collection('cursorTest').insert(documents);
+		});
+	},
+	'assertions': (result, done) => {
+		// null and missing values sort first
+		expect(names(result)).to.eql(['b', 'd']);
+		expect(result.total).to.equal(5);
+		next = result.next;
+		done();
+	}
+}, {
+	'order': 4.52,
+	'method': 'GET',
+	'url': page(1),
+	'description': 'should follow a cursor past null values to the next page',
+	'assertions': (result, done) => {
+		expect(names(result)).to.eql(['c', 'a']);
+		next = result.next;
+		done();
+	}
+}, {
+	'order': 4.53,
+	'method': 'GET',
+	'url': page(1),
+	'description': 'should follow a cursor to the last page',
+	'assertions': (result, done) => {
+		expect(names(result)).to.eql(['e']);
+		expect(result.next).to.be(null);
+		next = undefined;
+		done();
+	}
+}, {
+	'order': 4.54,
+	'method': 'GET',
+	'url': page(-1),
+	'description': 'should get the first page of documents sorted in descending order by a field which is null in some of them',
+	'assertions': (result, done) => {
+		expect(names(result)).to.eql(['e', 'a']);
+		next = result.next;
+		done();
+	}
+}, {
+	'order': 4.55,
+	'method': 'GET',
+	'url': page(-1),
+	'description': 'should follow a cursor in descending order to null values',
+	'assertions': (result, done) => {
+		expect(names(result)).to.eql(['c', 'd']);
+		next = result.next;
+		done();
+	}
+}, {
+	'order': 4.56,
+	'method': 'GET',
+	'url': page(-1),
+	'description': 'should follow a cursor past null values in descending order to the last page',
+	'assertions': (result, done) => {
+		db.collection('collections').remove({'name': 'cursorTest'});
+		db.collection('cursorTest').remove({});
+
+		expect(names(result)).to.eql(['b']);
+		expect(result.next).to.be(null);
+		done();
+	}
+}];
\ No newline at end of file
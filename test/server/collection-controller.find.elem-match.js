@@ -0,0 +1,17 @@
+const expect = require('expect.js');
+module.exports = {
+	'order': 4.7,
+	'method': 'GET',
+	'url': '/api/users?conditions=' + encodeURIComponent(JSON.stringify({
+		'roles': {
+			'$elemMatch': {
+				'$eq': 'admin'
+			}
+		}
+	})),
+	'description': 'should find users matching an element of an array with an operator expression',
+	'assertions': function (result, done) {
+		expect(result.data.length).to.be.greaterThan(0);
+		done();
+	}
+};
\ No newline at end of file
@@ -0,0 +1,15 @@
+const expect = require('expect.js');
+module.exports = {
+	'order': 4.8,
+	'method': 'GET',
+	'url': '/api/pages?expand=components&conditions=' + encodeURIComponent(JSON.stringify({
+		'path': 'ui'
+	})),
+	'description': 'should expand an array of references into the documents they reference',
+	'assertions': function (result, done) {
+		expect(result.data.length).to.equal(1);
+		expect(result.data[0].components.length).to.be.greaterThan(0);
+		expect(result.data[0].components[0].name).to.be.a('string');
+		done();
+	}
+};
\ No newline at end of file
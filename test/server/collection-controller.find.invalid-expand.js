@@ -0,0 +1,7 @@
+module.exports = {
+	'order': 4.8,
+	'method': 'GET',
+	'url': '/api/users?expand=firstName',
+	'description': 'should 400 when expanding a field that is not a reference',
+	'statusCode': 400
+};
\ No newline at end of file
@@ -0,0 +1,55 @@
+const expect = require('expect.js');
+var find = (condition) => '/api/users?conditions=' + encodeURIComponent(JSON.stringify({
+	'firstName': condition
+}));
+
+module.exports = [{
+	'order': 4.7,
+	'method': 'GET',
+	'url': find({
+		'$regex': '(a|a)*$'
+	}),
+	'description': 'should 400 when finding users with a regular expression that may backtrack catastrophically',
+	'statusCode': 400,
+	'assertions': function (result, done) {
+		expect(result.error.errors[0].field).to.equal('conditions.firstName.$regex');
+		done();
+	}
+}, {
+	'order': 4.701,
+	'method': 'GET',
+	'url': find({
+		'$regex': '((a+))+$'
+	}),
+	'description': 'should 400 when finding users with a regular expression nesting a quantifier two groups deep',
+	'statusCode': 400,
+	'assertions': function (result, done) {
+		expect(result.error.errors[0].field).to.equal('conditions.firstName.$regex');
+		done();
+	}
+}, {
+	'order': 4.702,
+	'method': 'GET',
+	'url': find({
+		'$regex': '((ab)*)+$'
+	}),
+	'description': 'should 400 when finding users with a regular expression repeating a quantified group',
+	'statusCode': 400,
+	'assertions': function (result, done) {
+		expect(result.error.errors[0].field).to.equal('conditions.firstName.$regex');
+		done();
+	}
+}, {
+	'order': 4.703,
+	'method': 'GET',
+	'url': find({
+		'$regex': '^e',
+		'$options': 'x'
+	}),
+	'description': 'should 400 when finding users with a regular expression option other than "i" or "m"',
+	'statusCode': 400,
+	'assertions': function (result, done) {
+		expect(result.error.errors[0].field).to.equal('conditions.firstName.$options');
+		done();
+	}
+}];
\ No newline at end of file
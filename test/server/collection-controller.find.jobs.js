@@ -0,0 +1,63 @@
+const db = require('../../lib/db');
+const expect = require('expect.js');
+
+var eventId = db.ObjectId();
+
+module.exports = [{
+	'order': 9.9,
+	'method': 'GET',
+	'url': '/api/jobs?conditions=' + encodeURIComponent(JSON.stringify({
+		'status': 'dead'
+	})),
+	'description': 'should get a list of dead jobs',
+	'assertions': function (result, done) {
+		expect(result.data).to.be.an('array');
+		done();
+	}
+}, {
+	'order': 9.901,
+	'method': 'GET',
+	'url': '/api/asyncJobTest',
+	'description': 'should queue a job for an async event handler',
+	'before': () => {
+		var collections = db.collection('collections');
+		collections.remove({'name': 'asyncJobTest'}, () => {
+			collections.insert({
+				'name': 'asyncJobTest',
+				'acl': {
+					'read': ['admin']
+				}
+			});
+		});
+
+		db.collection('jobs').remove({'data.collectionName': 'asyncJobTest'});
+		db.collection('events').remove({'_id': eventId}, () => {
+			db.collection('events').insert({
+				'_id': eventId,
+				'collection': 'asyncJobTest',
+				'event': 'afterRead',
+				'async': true,
+				'script': 'done();'
+			});
+		});
+	}
+}, {
+	'order': 9.902,
+	'method': 'GET',
+	'url': '/api/jobs?conditions=' + encodeURIComponent(JSON.stringify({
+		'data.collectionName': 'asyncJobTest'
+	})),
+	'description': 'should complete the job of an async event handler in the background',
+	'delay': 1000,
+	'assertions': (result, done) => {
+		db.collection('collections').remove({'name': 'asyncJobTest'});
+		db.collection('events').remove({'_id': eventId});
+		db.collection('jobs').remove({'data.collectionName': 'asyncJobTest'});
+
+		expect(result.data.length).to.equal(1);
+		expect(result.data[0].type).to.equal('event');
+		expect(result.data[0].status).to.equal('completed');
+		expect(result.data[0].attempts).to.equal(1);
+		done();
+	}
+}];
\ No newline at end of file
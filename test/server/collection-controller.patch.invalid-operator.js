@@ -0,0 +1,12 @@
+module.exports = {
+	'order': 9.7,
+	'method': 'PATCH',
+	'url': '/api/users/{_id}',
+	'description': 'should 400 when patching a user with an unsupported update operator',
+	'data': {
+		'$rename': {
+			'firstName': 'lastName'
+		}
+	},
+	'statusCode': 400
+};
\ No newline at end of file
@@ -0,0 +1,21 @@
+const expect = require('expect.js');
+module.exports = {
+	'order': 9.7,
+	'method': 'PATCH',
+	'url': '/api/users/{_id}',
+	'description': 'should patch a user by id with update operators',
+	'data': {
+		'$set': {
+			'firstName': 'FirstNamePatch'
+		},
+		'$unset': {
+			'lastName': ''
+		}
+	},
+	'assertions': function (result, done) {
+		expect(result.password).to.be(undefined);
+		expect(result.firstName).to.equal('FirstNamePatch');
+		expect(result.lastName).to.be(undefined);
+		done();
+	}
+};
\ No newline at end of file
@@ -0,0 +1,8 @@
+const db = require('../../lib/db');
+module.exports = {
+	'order': 4.9,
+	'method': 'POST',
+	'url': '/api/users/' + db.ObjectId() + '/restore',
+	'description': 'should 404 when restoring a user that is not in the trash',
+	'statusCode': 404
+};
\ No newline at end of file
@@ -0,0 +1,117 @@
+const db = require('../../lib/db');
+const expect = require('expect.js');
+
+var pageId = db.ObjectId();
+var page = (content) => {
+	return {
+		'name': 'Revisions',
+		'path': 'revisions',
+		'content': content
+	};
+};
+
+// each update of a collection with "revisions" enabled records the version it replaced
+module.exports = [{
+	'order': 9.101,
+	'method': 'PUT',
+	'url': '/api/pages/' + pageId,
+	'description': 'should record a revision when updating a page',
+	'before': () => {
+		db.collection('revisions').remove({'documentId': pageId}, () => {
+			db.collection('pages').remove({'_id': pageId}, () => {
+				db.collection('pages').insert(Object.assign({'_id': pageId}, page('First')));
+			});
+		});
+	},
+	'data': page('Second'),
+	'assertions': (result, done) => {
+		expect(result.content).to.equal('Second');
+		done();
+	}
+}, {
+	'order': 9.102,
+	'method': 'PUT',
+	'url': '/api/pages/' + pageId,
+	'description': 'should record another revision when updating a page again',
+	'data': page('Third')
+}, {
+	'order': 9.103,
+	'method': 'GET',
+	'url': '/api/pages/' + pageId + '/_revisions',
+	'description': 'should get the revisions of a page, newest first',
+	'assertions': (result, done) => {
+		expect(result.data.map((revision) => revision.revision)).to.eql([2, 1]);
+		expect(result.data.map((revision) => revision.data.content)).to.eql(['Second', 'First']);
+		expect(result.data[0].action).to.equal('update');
+		done();
+	}
+}, {
+	'order': 9.104,
+	'method': 'GET',
+	'url': '/api/pages/' + pageId + '/_revisions/_diff?from=1&to=2',
+	'description': 'should compare two revisions of a page',
+	'assertions': (result, done) => {
+		expect(result.from).to.equal(1);
+		expect(result.to).to.equal(2);
+		expect(result.changed).to.eql({'content': {'from': 'First', 'to': 'Second'}});
+		expect(result.added).to.eql({});
+		expect(result.removed).to.eql({});
+		done();
+	}
+}, {
+	'order': 9.105,
+	'method': 'GET',
+	'url': '/api/pages/' + pageId + '/_revisions/_diff?from=1',
+	'description': 'should compare a revision of a page to the current page',
+	'assertions': (result, done) => {
+		expect(result.to).to.be(null);
+		expect(result.changed.content).to.eql({'from': 'First', 'to': 'Third'});
+		done();
+	}
+}, {
+	'order': 9.106,
+	'method': 'GET',
+	'url': '/api/pages/' + pageId + '/_revisions/_diff?from=first',
+	'description': 'should 400 when comparing revisions which are not numbers',
+	'statusCode': 400,
+	'assertions': (result, done) => {
+		expect(result.error.errors[0].field).to.equal('from');
+		done();
+	}
+}, {
+	'order': 9.107,
+	'method': 'POST',
+	'url': '/api/pages/' + pageId + '/_revisions/1/restore',
+	'description': 'should restore a page to a revision',
+	'assertions': (result, done) => {
+		expect(result.content).to.equal('First');
+		done();
+	}
+}, {
+	'order': 9.108,
+	'method': 'GET',
+	'url': '/api/pages/' + pageId + '/_revisions',
+	'description': 'should record the version replaced by restoring a revision',
+	'assertions': (result, done) => {
+		db.collection('revisions').remove({'documentId': pageId});
+		db.collection('pages').remove({'_id': pageId});
+
+		expect(result.data.length).to.equal(3);
+		expect(result.data[0].data.content).to.equal('Third');
+		done();
+	}
+}, {
+	'order': 9.109,
+	'method': 'GET',
+	'url': '/api/users/current',
+	'description': 'should get the current user after testing revisions'
+}, {
+	'order': 10.5,
+	'method': 'GET',
+	'url': '/api/users/{_id}/_revisions',
+	'description': 'should get the revisions of a user',
+	'assertions': function (result, done) {
+		expect(result.data).to.be.an('array');
+		done();
+	}
+}];
\ No newline at end of file
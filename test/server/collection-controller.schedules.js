@@ -0,0 +1,72 @@
+const db = require('../../lib/db');
+const expect = require('expect.js');
+const Schedule = require('../../lib/schedule');
+
+var scheduleId;
+var runs = '/api/scheduleRuns?conditions=' + encodeURIComponent(JSON.stringify({'name': 'Tick Test'}));
+
+// the schedule only matches a minute in the past, so the server does not run it on its own
+var due = new Date('2026-01-01T04:30:15Z');
+
+module.exports = [{
+	'order': 9.61,
+	'method': 'POST',
+	'url': '/api/schedules',
+	'description': 'should create a schedule',
+	'before': () => {
+		db.collection('schedules').remove({'name': 'Tick Test'});
+		db.collection('scheduleRuns').remove({'name': 'Tick Test'});
+	},
+	'data': {
+		'name': 'Tick Test',
+		'cron': '30 4 1 1 *',
+		'script': 'console.log("sum", 1 + 1);done();'
+	},
+	'statusCode': 201,
+	'assertions': (result, done) => {
+		scheduleId = result._id;
+		done();
+	}
+}, {
+	'order': 9.62,
+	'method': 'GET',
+	'url': '/api/users/current',
+	'description': 'should run a due schedule once when ticking twice in the same minute',
+	'assertions': (result, done) => {
+		Promise.all([Schedule.tick(due), Schedule.tick(due)]).then(() => {
+			return Schedule.tick(new Date(due.getTime() + 30000));
+		}).then(() => done(), done);
+	}
+}, {
+	'order': 9.63,
+	'method': 'GET',
+	'url': runs,
+	'description': 'should record the run of a schedule with its output',
+	'assertions': (result, done) => {
+		expect(result.data.length).to.equal(1);
+		expect(result.data[0].schedule).to.equal(scheduleId);
+		expect(result.data[0].status).to.equal('succeeded');
+		expect(result.data[0].output.length).to.equal(1);
+		expect(result.data[0].output[0].level).to.equal('log');
+		expect(result.data[0].output[0].message).to.equal('sum 2');
+		done();
+	}
+}, {
+	'order': 9.64,
+	'method': 'GET',
+	'url': () => '/api/schedules/' + scheduleId,
+	'description': 'should record the minute a schedule last ran at and release its lock',
+	'assertions': (result, done) => {
+		db.collection('schedules').remove({'name': 'Tick Test'});
+		db.collection('scheduleRuns').remove({'name': 'Tick Test'});
+
+		expect(new Date(result.lastRunAt).getTime()).to.equal(new Date('2026-01-01T04:30:00Z').getTime());
+		expect(result.lockedUntil).to.be(null);
+		done();
+	}
+}, {
+	'order': 9.65,
+	'method': 'GET',
+	'url': '/api/users/current',
+	'description': 'should get the current user after testing schedules'
+}];
\ No newline at end of file
@@ -0,0 +1,140 @@
+const db = require('../../lib/db');
+const expect = require('expect.js');
+const Collection = require('../../lib/collection');
+
+var keptId = db.ObjectId();
+var deletedId = db.ObjectId();
+var expiredId = db.ObjectId();
+var acl = {
+	'read': ['admin'],
+	'update': ['admin'],
+	'delete': ['admin']
+};
+var names = (result) => result.data.map((document) => document.name).sort();
+
+// documents deleted from collections with "softDelete" enabled are moved to the trash until restored or purged
+module.exports = [{
+	'order': 4.91,
+	'method': 'DELETE',
+	'url': '/api/softDeleteTest/' + deletedId,
+	'description': 'should move a deleted document to the trash of a collection with soft delete',
+	'before': () => {
+		var collections = db.collection('collections');
+		var expired = new Date();
+		expired.setDate(expired.getDate() - 60);
+
+		collections.remove({'name': {'$in': ['softDeleteTest', 'softDeleteNotes']}}, () => {
+			collections.insert([{
+				'name': 'softDeleteTest',
+				'softDelete': true,
+				'acl': acl
+			}, {
+				'name': 'softDeleteNotes',
+				'acl': acl
+			}]);
+		});
+
+		db.collection('softDeleteTest').remove({}, () => {
+			db.collection('softDeleteTest').insert([
+				{'_id': keptId, 'name': 'Kept'},
+				{'_id': deletedId, 'name': 'Deleted'},
+				{'_id': expiredId, 'name': 'Expired', '_deleted': expired}
+			]);
+		});
+
+		db.collection('softDeleteNotes').remove({}, () => {
+			db.collection('softDeleteNotes').insert({'name': 'Note', 'item': 'Deleted'});
+		});
+	},
+	'assertions': (result, done) => {
+		expect(result.name).to.equal('Deleted');
+		done();
+	}
+}, {
+	'order': 4.92,
+	'method': 'GET',
+	'url': '/api/softDeleteTest/_trash',
+	'description': 'should list a soft deleted document in the trash',
+	'assertions': (result, done) => {
+		expect(names(result)).to.eql(['Deleted', 'Expired']);
+		done();
+	}
+}, {
+	'order': 4.93,
+	'method': 'GET',
+	'url': '/api/softDeleteTest',
+	'description': 'should hide soft deleted documents when finding documents',
+	'assertions': (result, done) => {
+		expect(names(result)).to.eql(['Kept']);
+		done();
+	}
+}, {
+	'order': 4.94,
+	'method': 'GET',
+	'url': '/api/softDeleteTest/' + deletedId,
+	'description': 'should 404 when getting a soft deleted document by id',
+	'statusCode': 404
+}, {
+	'order': 4.95,
+	'method': 'POST',
+	'url': '/api/softDeleteNotes/_aggregate',
+	'description': 'should hide soft deleted documents when looking them up in an aggregation',
+	'data': {
+		'pipeline': [{
+			'$lookup': {
+				'from': 'softDeleteTest',
+				'localField': 'item',
+				'foreignField': 'name',
+				'as': 'items'
+			}
+		}]
+	},
+	'assertions': (result, done) => {
+		expect(result.data.length).to.equal(1);
+		expect(result.data[0].items).to.eql([]);
+		done();
+	}
+}, {
+	'order': 4.96,
+	'method': 'POST',
+	'url': '/api/softDeleteTest/' + deletedId + '/restore',
+	'description': 'should restore a soft deleted document from the trash',
+	'assertions': (result, done) => {
+		expect(result.name).to.equal('Deleted');
+		expect(result._deleted).to.be(undefined);
+		done();
+	}
+}, {
+	'order': 4.97,
+	'method': 'GET',
+	'url': '/api/softDeleteTest',
+	'description': 'should find a restored document again',
+	'assertions': (result, done) => {
+		expect(names(result)).to.eql(['Deleted', 'Kept']);
+		done();
+	}
+}, {
+	'order': 4.98,
+	'method': 'GET',
+	'url': '/api/softDeleteTest/_trash',
+	'description': 'should permanently delete documents past the retention period when purging the trash',
+	'assertions': (result, done) => {
+		expect(names(result)).to.eql(['Expired']);
+		Collection.purgeTrash().then(() => {
+			db.collection('softDeleteTest').find({}, (error, documents) => {
+				db.collection('collections').remove({'name': {'$in': ['softDeleteTest', 'softDeleteNotes']}});
+				db.collection('softDeleteTest').remove({});
+				db.collection('softDeleteNotes').remove({});
+
+				expect(error).to.be(null);
+				expect(documents.map((document) => document.name).sort()).to.eql(['Deleted', 'Kept']);
+				done();
+			});
+		}).catch(done);
+	}
+}, {
+	'order': 4.99,
+	'method': 'GET',
+	'url': '/api/users/current',
+	'description': 'should get the current user after testing soft delete'
+}];
\ No newline at end of file
@@ -0,0 +1,11 @@
+const expect = require('expect.js');
+module.exports = {
+	'order': 4.9,
+	'method': 'GET',
+	'url': '/api/users/_trash',
+	'description': 'should get a list of users in the trash',
+	'assertions': function (result, done) {
+		expect(result.data).to.be.an('array');
+		done();
+	}
+};
\ No newline at end of file
@@ -0,0 +1,16 @@
+const expect = require('expect.js');
+module.exports = {
+	'order': 9.6,
+	'method': 'PUT',
+	'url': '/api/users/{_id}',
+	'description': 'should 400 when updating a user with data that does not match the definition',
+	'data': {
+		'firstName': 12345
+	},
+	'statusCode': 400,
+	'assertions': function (result, done) {
+		expect(result.error.errors.length).to.equal(1);
+		expect(result.error.errors[0].field).to.equal('firstName');
+		done();
+	}
+};
\ No newline at end of file
@@ -0,0 +1,13 @@
+module.exports = {
+	'order': 9.8,
+	'method': 'PUT',
+	'url': '/api/users/{_id}',
+	'description': 'should 412 when updating a user that was modified since the provided ETag',
+	'headers': {
+		'If-Match': '"0"'
+	},
+	'data': {
+		'firstName': 'FirstNameUpdate'
+	},
+	'statusCode': 412
+};
\ No newline at end of file
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const http = require('http');
+const db = require('../../lib/db');
+const expect = require('expect.js');
+const Webhook = require('../../lib/webhook');
+
+var webhookIds = [db.ObjectId(), db.ObjectId()];
+var secret = 'webhook-secret';
+var received = [];
+var receiver;
+var deliveries = '/api/webhookDeliveries?conditions=' + encodeURIComponent(JSON.stringify({'collection': 'webhookTest'})) +
+	'&sort=' + encodeURIComponent(JSON.stringify({'url': 1}));
+
+// a local receiver accepts the deliveries of one webhook and fails those of the other
+module.exports = [{
+	'order': 9.906,
+	'method': 'POST',
+	'url': '/api/webhookTest',
+	'description': 'should deliver a signed notification to the webhooks of a collection',
+	'before': () => {
+		receiver = http.createServer((request, response) => {
+			var body = '';
+			request.on('data', (chunk) => {
+				body += chunk;
+			});
+			request.on('end', () => {
+				received.push({'url': request.url, 'headers': request.headers, 'body': body});
+				response.statusCode = request.url === '/fail' ? 500 : 200;
+				response.end();
+			});
+		}).listen(3011);
+
+		var collections = db.collection('collections');
+		collections.remove({'name': 'webhookTest'}, () => {
+			collections.insert({
+				'name': 'webhookTest',
+				'acl': {
+					'create': ['admin'],
+					'read': ['admin']
+				}
+			});
+		});
+
+		db.collection('webhookDeliveries').remove({'collection': 'webhookTest'});
+		db.collection('webhooks').remove({'_id': {'$in': webhookIds}}, () => {
+			db.collection('webhooks').insert([{
+				'_id': webhookIds[0],
+				'name': 'Receiver',
+				'collection': 'webhookTest',
+				'events': ['afterCreate'],
+				'url': 'http://localhost:3011/hooks',
+				'secret': secret,
+				'headers': {
+					'X-Collection': '{{collection}}',
+					'X-Title': 'Title {{data.title}}'
+				}
+			}, {
+				'_id': webhookIds[1],
+				'name': 'Failing Receiver',
+				'collection': 'webhookTest',
+				'events': ['afterCreate'],
+				'url': 'http://localhost:3011/fail',
+				'secret': secret
+			}]);
+		});
+	},
+	'data': {
+		'title': 'Hooked'
+	},
+	'statusCode': 201
+}, {
+	'order': 9.907,
+	'method': 'GET',
+	'url': deliveries,
+	'description': 'should record the deliveries of webhooks and reschedule failed attempts',
+	'delay': 500,
+	'assertions': (result, done) => {
+		var [failed, delivered] = result.data;
+		expect(delivered.url).to.equal('http://localhost:3011/hooks');
+		expect(delivered.status).to.equal('delivered');
+		expect(delivered.statusCode).to.equal(200);
+		expect(delivered.attempts).to.equal(1);
+		expect(delivered.payload.data.title).to.equal('Hooked');
+
+		expect(failed.url).to.equal('http://localhost:3011/fail');
+		expect(failed.status).to.equal('pending');
+		expect(failed.statusCode).to.equal(500);
+		expect(failed.attempts).to.equal(1);
+		expect(new Date(failed.nextAttempt).getTime()).to.be.greaterThan(Date.now());
+
+		var request = received.filter((request) => request.url === '/hooks')[0];
+		var signature = crypto.createHmac('sha256', secret).update(request.body).digest('hex');
+		expect(request.headers['x-backrest-signature']).to.equal('sha256=' + signature);
+		expect(request.headers['x-backrest-event']).to.equal('afterCreate');
+		expect(request.headers['x-collection']).to.equal('webhookTest');
+		expect(request.headers['x-title']).to.equal('Title Hooked');
+		expect(JSON.parse(request.body).id).to.equal(delivered._id);
+		done();
+	}
+}, {
+	'order': 9.908,
+	'method': 'GET',
+	'url': '/api/users/current',
+	'description': 'should retry failed deliveries which are due',
+	'assertions': (result, done) => {
+		var query = {'collection': 'webhookTest', 'url': 'http://localhost:3011/fail'};
+		var retry = (retries) => {
+			// make the next attempt due rather than waiting for the backoff
+			db.collection('webhookDeliveries').findAndModify({
+				'query': Object.assign({'status': 'pending'}, query),
+				'update': {'$set': {'nextAttempt': new Date(0)}}
+			}, (error, delivery) => {
+				if (error || !delivery || retries === 0) {
+					return done(error);
+				}
+
+				Webhook.retry().then(() => retry(retries - 1), done);
+			});
+		};
+
+		retry(10);
+	}
+}, {
+	'order': 9.909,
+	'method': 'GET',
+	'url': deliveries,
+	'description': 'should fail a delivery once it runs out of attempts',
+	'assertions': (result, done) => {
+		var failed = result.data[0];
+
+		db.collection('collections').remove({'name': 'webhookTest'});
+		db.collection('webhookTest').remove({});
+		db.collection('webhooks').remove({'_id': {'$in': webhookIds}});
+		db.collection('webhookDeliveries').remove({'collection': 'webhookTest'});
+		receiver.close();
+
+		expect(failed.status).to.equal('failed');
+		expect(failed.attempts).to.equal(5);
+		expect(failed.nextAttempt).to.be(null);
+		expect(received.filter((request) => request.url === '/fail').length).to.equal(5);
+		done();
+	}
+}];
\ No newline at end of file
@@ -0,0 +1,71 @@
+const db = require('../../lib/db');
+const expect = require('expect.js');
+const ApiKey = require('../../lib/api-key');
+
+var userId = db.ObjectId();
+var endpointIds = [db.ObjectId(), db.ObjectId()];
+var key;
+
+// endpoints run their script with the request and respond with what the script passes to "respond"
+module.exports = [{
+	'order': 9.903,
+	'method': 'GET',
+	'url': '/api/fn/greetings/World%20Wide?punctuation=!',
+	'description': 'should respond with the output of an endpoint script and the parameters of its path',
+	'before': () => {
+		db.collection('endpoints').remove({'_id': {'$in': endpointIds}}, () => {
+			db.collection('endpoints').insert([{
+				'_id': endpointIds[0],
+				'method': 'GET',
+				'path': '/greetings/:name',
+				'roles': ['admin'],
+				'script': 'respond(200, {"greeting": "Hello " + request.params.name + request.query.punctuation});done();'
+			}, {
+				'_id': endpointIds[1],
+				'method': 'GET',
+				'path': '/failures',
+				'roles': ['admin'],
+				'script': 'throw new Error("Failure");'
+			}]);
+		});
+
+		db.collection('users').remove({'email': 'endpoint@backrest.io'}, () => {
+			db.collection('users').insert({
+				'_id': userId,
+				'firstName': 'Endpoint',
+				'lastName': 'User',
+				'email': 'endpoint@backrest.io',
+				'roles': []
+			}, () => {
+				ApiKey.create({'name': 'Endpoint', 'user': userId}).then((created) => {
+					key = created;
+				});
+			});
+		});
+	},
+	'assertions': (result, done) => {
+		expect(result).to.eql({'greeting': 'Hello World Wide!'});
+		done();
+	}
+}, {
+	'order': 9.904,
+	'method': 'GET',
+	'url': '/api/fn/greetings/World',
+	'description': 'should 403 when invoking an endpoint without any of its roles',
+	'session': false,
+	'headers': () => {
+		return {'Authorization': 'Bearer ' + key.key};
+	},
+	'statusCode': 403
+}, {
+	'order': 9.905,
+	'method': 'GET',
+	'url': '/api/fn/failures',
+	'description': 'should 500 when the script of an endpoint throws an error',
+	'statusCode': 500,
+	'assertions': (result, done) => {
+		db.collection('endpoints').remove({'_id': {'$in': endpointIds}});
+		db.collection('users').remove({'_id': userId});
+		ApiKey.revoke({'_id': key._id}).then(() => done(), done);
+	}
+}];
\ No newline at end of file
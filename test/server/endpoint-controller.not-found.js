@@ -0,0 +1,7 @@
+module.exports = {
+	'order': 9.9,
+	'method': 'POST',
+	'url': '/api/fn/does-not-exist',
+	'description': 'should 404 Not Found when invoking an endpoint that does not exist',
+	'statusCode': 404
+};
\ No newline at end of file
@@ -0,0 +1,50 @@
+const db = require('../../lib/db');
+const expect = require('expect.js');
+
+var eventId = db.ObjectId();
+
+// compiled scripts are cached until their event is modified
+module.exports = [{
+	'order': 9.94,
+	'method': 'POST',
+	'url': '/api/events/' + eventId + '/_test',
+	'description': 'should run the compiled script of an event',
+	'before': () => {
+		db.collection('events').insert({
+			'_id': eventId,
+			'collection': 'users',
+			'event': 'afterRead',
+			'script': 'data.version = 1;done();',
+			'enabled': false,
+			'_modified': new Date(0)
+		});
+	},
+	'data': {
+		'data': {}
+	},
+	'assertions': (result, done) => {
+		expect(result.data.version).to.equal(1);
+		db.collection('events').update({'_id': eventId}, {
+			'$set': {
+				'script': 'data.version = 2;done();',
+				'_modified': new Date()
+			}
+		}, () => {
+			done();
+		});
+	}
+}, {
+	'order': 9.95,
+	'method': 'POST',
+	'url': '/api/events/' + eventId + '/_test',
+	'description': 'should recompile the script of an event when it is modified',
+	'data': {
+		'data': {}
+	},
+	'assertions': (result, done) => {
+		db.collection('events').remove({'_id': eventId});
+
+		expect(result.data.version).to.equal(2);
+		done();
+	}
+}];
\ No newline at end of file
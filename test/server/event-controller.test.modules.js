@@ -0,0 +1,30 @@
+const db = require('../../lib/db');
+const expect = require('expect.js');
+
+var eventId = db.ObjectId();
+
+module.exports = {
+	'order': 9.91,
+	'method': 'POST',
+	'url': '/api/events/' + eventId + '/_test',
+	'description': 'should fail scripts requiring modules which are not allowed',
+	'before': () => {
+		// disabled, so the handler only runs when tested
+		db.collection('events').insert({
+			'_id': eventId,
+			'collection': 'users',
+			'event': 'afterRead',
+			'script': 'require("fs");done();',
+			'enabled': false
+		});
+	},
+	'data': {
+		'data': {}
+	},
+	'assertions': (result, done) => {
+		db.collection('events').remove({'_id': eventId});
+
+		expect(result.error).to.equal('Module "fs" is not allowed');
+		done();
+	}
+};
\ No newline at end of file
@@ -0,0 +1,11 @@
+const db = require('../../lib/db');
+module.exports = {
+	'order': 9.9,
+	'method': 'POST',
+	'url': '/api/events/' + db.ObjectId() + '/_test',
+	'description': 'should 404 Not Found when testing an event that does not exist',
+	'data': {
+		'data': {}
+	},
+	'statusCode': 404
+};
\ No newline at end of file
@@ -0,0 +1,68 @@
+const db = require('../../lib/db');
+const expect = require('expect.js');
+
+var eventId = db.ObjectId();
+var eventIds = [];
+
+module.exports = {
+	'order': 9.96,
+	'method': 'POST',
+	'url': '/api/events/' + eventId + '/_test',
+	'description': 'should read without triggering events and record calls to Property when testing an event',
+	'before': () => {
+		var events = db.collection('events');
+		events.insert({
+			'_id': eventId,
+			'collection': 'users',
+			'event': 'afterRead',
+			'script': [
+				'Data.collection("users", user).find({"dryRun": {"$exists": false}}).then((result) => {',
+				'	data.users = result.data.length;',
+				'	return Property.getValue("backrest.events.modules");',
+				'}).then((modules) => {',
+				'	data.modules = modules;',
+				'	done();',
+				'}, done);'
+			].join('\n'),
+			'enabled': false
+		});
+
+		// fails the read of the script if events are triggered
+		events.insert({
+			'collection': 'users',
+			'event': 'beforeRead',
+			'script': 'done("triggered");',
+			'when': {
+				'query.dryRun': {
+					'$exists': true
+				}
+			}
+		}, (error, data) => {
+			eventIds.push(data._id);
+		});
+	},
+	'data': {
+		'user': {
+			'_id': '000000000000000000000000',
+			'roles': ['admin']
+		},
+		'data': {}
+	},
+	'assertions': (result, done) => {
+		db.collection('events').remove({
+			'_id': {
+				'$in': eventIds.concat(eventId)
+			}
+		});
+
+		expect(result.error).to.equal(null);
+		expect(result.data.users).to.be.greaterThan(0);
+		expect(result.data.modules).to.contain('lodash');
+		expect(result.calls).to.eql([{
+			'target': 'Property',
+			'method': 'getValue',
+			'arguments': ['backrest.events.modules']
+		}]);
+		done();
+	}
+};
\ No newline at end of file
@@ -0,0 +1,59 @@
+const db = require('../../lib/db');
+const expect = require('expect.js');
+
+var eventId = db.ObjectId();
+var setTimeoutProperty = (value, done) => {
+	db.collection('properties').update({'name': 'backrest.events.timeout'}, {'$set': {'value': value}}, () => {
+		done();
+	});
+};
+
+// the properties of scripts are cached for 5 seconds, so the shortened timeout applies once the cache expires
+module.exports = [{
+	'order': 9.919,
+	'method': 'GET',
+	'url': '/api/users/current',
+	'description': 'should shorten the timeout of scripts',
+	'assertions': (result, done) => {
+		db.collection('events').insert({
+			'_id': eventId,
+			'collection': 'users',
+			'event': 'afterRead',
+			'script': 'data.started = true;',
+			'enabled': false
+		}, () => {
+			setTimeoutProperty(1000, done);
+		});
+	}
+}, {
+	'order': 9.9195,
+	'method': 'GET',
+	'url': '/api/users/current',
+	'description': 'should wait for the cached properties of scripts to expire',
+	'delay': 3000
+}, {
+	'order': 9.92,
+	'method': 'POST',
+	'url': '/api/events/' + eventId + '/_test',
+	'description': 'should fail scripts which do not call done before the timeout',
+	'delay': 2100,
+	'data': {
+		'data': {}
+	},
+	'assertions': (result, done) => {
+		expect(result.data.started).to.equal(true);
+		expect(result.error).to.equal('Script timed out, scripts must call "done" before their deadline');
+		expect(result.duration).to.be.greaterThan(999);
+		done();
+	}
+}, {
+	'order': 9.9205,
+	'method': 'GET',
+	'url': '/api/users/current',
+	'description': 'should restore the timeout of scripts',
+	'assertions': (result, done) => {
+		db.collection('events').remove({'_id': eventId}, () => {
+			setTimeoutProperty(60000, done);
+		});
+	}
+}];
\ No newline at end of file
@@ -0,0 +1,10 @@
+module.exports = {
+	'order': 9.9,
+	'method': 'POST',
+	'url': '/api/tenants',
+	'description': 'should 400 when provisioning a tenant with an invalid name',
+	'data': {
+		'name': 'Not A Valid Name'
+	},
+	'statusCode': 400
+};
\ No newline at end of file
@@ -0,0 +1,78 @@
+const expect = require('expect.js');
+const db = require('../../lib/db');
+const Tenant = require('../../lib/tenant');
+
+var tenantHeader = {'X-Backrest-Tenant': 'test-tenant'};
+var credentials = {
+	'email': 'tenantAdmin@backrest.io',
+	'password': 'password'
+};
+
+module.exports = [{
+	'order': 9.998,
+	'method': 'POST',
+	'url': '/api/tenants',
+	'description': 'should provision a tenant with an admin',
+	'before': () => {
+		db.collection('tenants').remove({'name': 'test-tenant'});
+		Tenant.db('test-tenant').dropDatabase();
+	},
+	'data': {
+		'name': 'test-tenant',
+		'hosts': ['test-tenant.backrest.io'],
+		'admin': {
+			'email': credentials.email,
+			'password': credentials.password,
+			'firstName': 'Tenant',
+			'lastName': 'Admin'
+		}
+	},
+	'statusCode': 201,
+	'assertions': (result, done) => {
+		expect(result.name).to.equal('test-tenant');
+		expect(result.hosts).to.eql(['test-tenant.backrest.io']);
+		done();
+	}
+}, {
+	'order': 9.9981,
+	'method': 'GET',
+	'url': '/api/users/current',
+	'description': 'should not sign in the users of another tenant',
+	'headers': tenantHeader,
+	'assertions': (result, done) => {
+		expect(result._id).to.be(undefined);
+		expect(result.email).to.be(undefined);
+		done();
+	}
+}, {
+	'order': 9.9982,
+	'method': 'POST',
+	'url': '/api/users/login',
+	'description': 'should not login the admin of a tenant without the tenant',
+	'session': false,
+	'data': credentials,
+	'statusCode': 401
+}, {
+	'order': 9.9983,
+	'method': 'POST',
+	'url': '/api/users/login',
+	'description': 'should login the admin of a tenant selected by the tenant header',
+	'session': false,
+	'headers': tenantHeader,
+	'data': credentials,
+	'assertions': (result, done) => {
+		expect(result.email).to.equal(credentials.email);
+		expect(result.roles).to.eql(['admin']);
+		done();
+	}
+}, {
+	'order': 9.9984,
+	'method': 'GET',
+	'url': '/api/users/current',
+	'description': 'should get the current user after testing tenants',
+	'assertions': (result, done) => {
+		db.collection('tenants').remove({'name': 'test-tenant'}, () => {
+			Tenant.db('test-tenant').dropDatabase(() => done());
+		});
+	}
+}];
\ No newline at end of file
@@ -0,0 +1,58 @@
+const db = require('../../lib/db');
+const expect = require('expect.js');
+
+var eventIds = [];
+
+module.exports = {
+	'order': 9.15,
+	'method': 'GET',
+	'url': '/api/users/{_id}',
+	'description': 'should run enabled events by priority when their conditions match',
+	'before': () => {
+		var events = db.collection('events');
+		events.insert([{
+			'collection': 'users',
+			'event': 'afterRead',
+			'script': 'data.event1 = data.event2 + 1;done();'
+		}, {
+			'collection': 'users',
+			'event': 'afterRead',
+			'priority': 10,
+			'script': 'data.event2 = 1;done();'
+		}, {
+			'collection': 'users',
+			'event': 'afterRead',
+			'enabled': false,
+			'script': 'data.disabled = true;done();'
+		}, {
+			'collection': 'users',
+			'event': 'afterRead',
+			'when': {
+				'data.firstName': 'NotTheFirstName'
+			},
+			'script': 'data.unmatched = true;done();'
+		}], (error, data) => {
+			eventIds = data.map((event) => event._id);
+		});
+	},
+	'assertions': (result, done) => {
+		db.collection('events').remove({
+			'_id': {
+				'$in': eventIds
+			}
+		});
+
+		expect(result.event2).to.equal(1);
+		expect(result.event1).to.equal(2);
+		expect(result.disabled).to.be(undefined);
+		expect(result.unmatched).to.be(undefined);
+		done();
+	},
+	'after': () => {
+		db.collection('events').remove({
+			'_id': {
+				'$in': eventIds
+			}
+		});
+	}
+};
\ No newline at end of file
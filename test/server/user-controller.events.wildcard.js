@@ -0,0 +1,33 @@
+const db = require('../../lib/db');
+const expect = require('expect.js');
+
+var eventId;
+
+module.exports = {
+	'order': 9.16,
+	'method': 'GET',
+	'url': '/api/users/{_id}',
+	'description': 'should run wildcard events with the collection name and action',
+	'before': () => {
+		db.collection('events').insert({
+			'collection': '*',
+			'event': 'after*',
+			'script': 'data.wildcard = collectionName + "." + action;done();'
+		}, (error, data) => {
+			eventId = data._id;
+		});
+	},
+	'assertions': (result, done) => {
+		db.collection('events').remove({
+			'_id': eventId
+		});
+
+		expect(result.wildcard).to.equal('users.read');
+		done();
+	},
+	'after': () => {
+		db.collection('events').remove({
+			'_id': eventId
+		});
+	}
+};
\ No newline at end of file
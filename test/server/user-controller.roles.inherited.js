@@ -0,0 +1,60 @@
+const db = require('../../lib/db');
+const expect = require('expect.js');
+const ApiKey = require('../../lib/api-key');
+
+var key;
+var authorization = () => {
+	return {'Authorization': 'Bearer ' + key.key};
+};
+
+// a key bound to a role authenticates as a user with only that role
+module.exports = [{
+	'order': 9.971,
+	'method': 'POST',
+	'url': '/api/roles',
+	'description': 'should create a role inheriting from the admin role',
+	'before': () => {
+		db.collection('roles').remove({'name': 'inheritsAdmin'}, () => {
+			ApiKey.create({'name': 'Inherits Admin', 'role': 'inheritsAdmin'}).then((created) => {
+				key = created;
+			});
+		});
+	},
+	'data': {
+		'name': 'inheritsAdmin',
+		'parents': ['admin']
+	},
+	'statusCode': 201,
+	'assertions': (result, done) => {
+		expect(result.parents).to.eql(['admin']);
+		done();
+	}
+}, {
+	'order': 9.972,
+	'method': 'GET',
+	'url': '/api/audit/_export?format=json&limit=1',
+	'description': 'should grant the access of inherited roles',
+	'session': false,
+	'headers': authorization
+}, {
+	'order': 9.973,
+	'method': 'DELETE',
+	'url': '/api/roles/{_id}',
+	'description': 'should delete the inheriting role'
+}, {
+	'order': 9.974,
+	'method': 'GET',
+	'url': '/api/audit/_export?format=json&limit=1',
+	'description': 'should stop granting the access of a deleted role',
+	'session': false,
+	'headers': authorization,
+	'statusCode': 403,
+	'assertions': (result, done) => {
+		ApiKey.revoke({'_id': key._id}).then(() => done(), done);
+	}
+}, {
+	'order': 9.975,
+	'method': 'GET',
+	'url': '/api/users/current',
+	'description': 'should get the current user after testing inherited roles'
+}];
\ No newline at end of file
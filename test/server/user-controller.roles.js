@@ -0,0 +1,25 @@
+const expect = require('expect.js');
+module.exports = [{
+	'order': 9.976,
+	'method': 'POST',
+	'url': '/api/users/{_id}/roles',
+	'description': 'should assign a role',
+	'data': {
+		'role': 'owner'
+	},
+	'assertions': (result, done) => {
+		expect(result.roles).to.contain('owner');
+		expect(result.roles).to.contain('admin');
+		done();
+	}
+}, {
+	'order': 9.977,
+	'method': 'DELETE',
+	'url': '/api/users/{_id}/roles/owner',
+	'description': 'should revoke a role',
+	'assertions': (result, done) => {
+		expect(result.roles).not.to.contain('owner');
+		expect(result.roles).to.contain('admin');
+		done();
+	}
+}];
\ No newline at end of file
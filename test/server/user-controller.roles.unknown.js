@@ -0,0 +1,20 @@
+const db = require('../../lib/db');
+module.exports = [{
+	'order': 9.9,
+	'method': 'POST',
+	'url': '/api/users/' + db.ObjectId() + '/roles',
+	'description': 'should 400 when assigning a role that does not exist',
+	'data': {
+		'role': 'unknown-role'
+	},
+	'statusCode': 400
+}, {
+	'order': 9.9,
+	'method': 'POST',
+	'url': '/api/users/' + db.ObjectId() + '/roles',
+	'description': 'should 400 when assigning a role named after a property of objects',
+	'data': {
+		'role': 'constructor'
+	},
+	'statusCode': 400
+}];
\ No newline at end of file
@@ -0,0 +1,10 @@
+module.exports = {
+	'order': 9.9,
+	'method': 'POST',
+	'url': '/api/users/token/refresh',
+	'description': 'should 401 Unauthorized when refreshing with an unknown refresh token',
+	'data': {
+		'refreshToken': 'unknown-refresh-token'
+	},
+	'statusCode': 401
+};
\ No newline at end of file